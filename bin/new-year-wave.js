@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+// Command-line access to the wave engine (src/wave.js) for scripts and bots.
+//
+//   new-year-wave now [--json] [--mode apparent] [--year 2027 | --date --03-20 | --calendar hebrew] [--time <ISO>]
+//   new-year-wave at --lon 13.4 [--year 2027] [--json] [--mode apparent] [--time <ISO>]
+
+import { parseArgs } from 'node:util';
+import { DateTime } from 'luxon';
+import {
+  CALENDARS,
+  NEW_YEAR,
+  arrivalTime,
+  calendarEvent,
+  describeEventDate,
+  eventTarget,
+  hasArrived,
+  isAnyNewYear,
+  parseEventDate,
+  toInstant,
+  waveState,
+} from '../src/wave.js';
+
+const USAGE = `Usage:
+  new-year-wave now [options]             Where the wave is right now
+  new-year-wave at --lon <deg> [options]  When the target date arrives at a longitude
+
+Options:
+  --lon <deg>       Longitude in degrees, east positive (required for "at")
+  --year <year>     New Year of this year (default: the year the wave is tracking)
+  --date <date>     Another target date: 2027-03-20, or --03-20 for every year
+  --name <name>     Name of the --date event (default: the date)
+  --calendar <name> New year of another calendar: ${Object.keys(CALENDARS).join(', ')}
+  --mode <mode>     "mean" (default) or "apparent" solar time
+  --time <ISO>      Evaluate at this instant instead of now, e.g. 2026-12-31T18:00Z
+  --json            Print machine-readable JSON
+  -h, --help        Show this help`;
+
+const fail = (message) => {
+  console.error(`new-year-wave: ${message}\n\n${USAGE}`);
+  process.exit(1);
+};
+
+const iso = (dt) => dt.toUTC().toISO({ suppressMilliseconds: true });
+
+const formatLon = (lon) => `${Math.abs(lon).toFixed(2)}° ${lon >= 0 ? 'E' : 'W'}`;
+
+const statusText = (state) => {
+  if (state.transitionComplete) return 'complete';
+  if (state.inTransition) return 'in transition';
+  return 'before wave start';
+};
+
+// parseArgs reads `--lon -150` or `--date --03-20` as two flags; glue values that
+// start with a dash and a digit onto their option
+const argv = process.argv.slice(2).reduce((out, arg) => {
+  const previous = out[out.length - 1];
+  if (/^--?\d/.test(arg) && previous?.startsWith('--') && !previous.includes('=')) {
+    out[out.length - 1] = `${previous}=${arg}`;
+  } else {
+    out.push(arg);
+  }
+  return out;
+}, []);
+
+let args;
+try {
+  args = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      lon: { type: 'string' },
+      year: { type: 'string' },
+      date: { type: 'string' },
+      name: { type: 'string' },
+      calendar: { type: 'string' },
+      mode: { type: 'string', default: 'mean' },
+      time: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+} catch (err) {
+  fail(err.message);
+}
+
+const { values, positionals } = args;
+const [command] = positionals;
+
+if (values.help || !command) {
+  console.log(USAGE);
+  process.exit(values.help ? 0 : 1);
+}
+
+if (!['mean', 'apparent'].includes(values.mode)) fail(`unknown mode "${values.mode}"`);
+
+const now = values.time ? toInstant(values.time) : DateTime.utc();
+if (!now.isValid) fail(`invalid --time "${values.time}"`);
+
+// The event to track: New Year by default or of --year, any --date, or a --calendar
+let event = NEW_YEAR;
+if (values.calendar !== undefined) {
+  if (!CALENDARS[values.calendar]) fail(`unknown calendar "${values.calendar}"`);
+  event = calendarEvent(values.calendar);
+} else if (values.date !== undefined) {
+  const date = parseEventDate(values.date);
+  if (!date) fail(`invalid --date "${values.date}"`);
+  event = { ...date, name: values.name ?? describeEventDate(date) };
+} else if (values.year !== undefined) {
+  const year = Number(values.year);
+  if (!Number.isInteger(year)) fail(`invalid --year "${values.year}"`);
+  event = { ...NEW_YEAR, year };
+}
+
+const target = eventTarget(now, event);
+const { date } = target;
+let title = `${event.name} (${date.toISODate()})`;
+if (event.calendar) {
+  title = `${event.name}, ${CALENDARS[event.calendar].formatYear(target.year)} (${date.toISODate()})`;
+} else if (isAnyNewYear(event)) {
+  title = `New year ${date.year}`;
+}
+
+if (command === 'now') {
+  const state = waveState(now, { event, mode: values.mode });
+  if (values.json) {
+    console.log(JSON.stringify({
+      ...state,
+      instant: iso(state.instant),
+      date: state.date.toISODate(),
+      waveStart: iso(state.waveStart),
+      waveEnd: iso(state.waveEnd),
+    }, null, 2));
+  } else {
+    console.log(`${title} wave (${state.mode} solar time)`);
+    console.log(`  Time:           ${iso(state.instant)}`);
+    console.log(`  Midnight line:  ${formatLon(state.midnightLongitude)}`);
+    console.log(`  Status:         ${statusText(state)}`);
+    console.log(`  Coverage:       ${state.coverage.toFixed(1)}%`);
+    if (target.at) {
+      console.log(`  Begins:         ${iso(target.at)} everywhere at once`);
+    } else {
+      console.log(`  Wave:           ${iso(state.waveStart)} → ${iso(state.waveEnd)}`);
+    }
+  }
+} else if (command === 'at') {
+  const lon = Number(values.lon);
+  if (values.lon === undefined || !Number.isFinite(lon) || lon < -180 || lon > 180) {
+    fail('"at" needs --lon between -180 and 180');
+  }
+  const midnight = arrivalTime(lon, target, values.mode);
+  const arrived = hasArrived(now, lon, target, values.mode);
+  if (values.json) {
+    console.log(JSON.stringify({
+      longitude: lon,
+      event: event.name,
+      date: date.toISODate(),
+      mode: values.mode,
+      [target.at ? 'begins' : 'solarMidnight']: iso(midnight),
+      time: iso(now),
+      arrived,
+    }, null, 2));
+  } else {
+    const heading = target.at ? `Start of ${title}` : `Solar midnight of ${title}`;
+    console.log(`${heading} at ${formatLon(lon)} (${values.mode} solar time)`);
+    console.log(`  UTC:     ${iso(midnight)}`);
+    console.log(`  Status:  ${arrived ? 'arrived' : 'waiting'}`);
+  }
+} else {
+  fail(`unknown command "${command}"`);
+}
@@ -0,0 +1,102 @@
+// <new-year-wave>: the wave as a widget for dashboards, blogs and stream overlays. It
+// shows the app in embed mode (?embed=1) in an iframe, so neither page's styles or
+// URL affect the other. Load it from wherever the app is hosted:
+//
+//   <script type="module" src="https://nx10.dev/new-year-wave/new-year-wave.js"></script>
+//   <new-year-wave panels="map,status" year="2027" location="52.52,13.405" place="Berlin"
+//     width="640" height="400"></new-year-wave>
+//
+// Attributes:
+//   width, height   pixels or any CSS length (default: full width, 16:10)
+//   panels          any of map, status and countdown (default: map,status)
+//   theme           dark, light, contrast, colorblind or auto
+//   colors          old year, new year and line colours, e.g. "1b263b-e69f00-56b4e9"
+//   transparent     no background, e.g. for an OBS browser source (transparent="false"
+//                   or "0" turns it off again)
+//   year            a given New Year rather than the next one
+//   location        your location as "lat,lon", with place as its name
+//   lang            interface language (en, de, es, ja, ar)
+//   src             another copy of the app (default: next to this script)
+
+const APP_URL = new URL('./', import.meta.url);
+
+// Attribute -> the app's URL parameter (see src/viewLink.js)
+const PARAMS = {
+  panels: 'panels',
+  theme: 'theme',
+  colors: 'colors',
+  year: 'year',
+  location: 'loc',
+  place: 'place',
+  lang: 'lang',
+};
+
+const STYLE = `
+  :host {
+    display: block;
+    width: 100%;
+    aspect-ratio: 16 / 10;
+  }
+  :host([panels="countdown"]) {
+    aspect-ratio: auto;
+    height: 10rem;
+  }
+  iframe {
+    display: block;
+    width: 100%;
+    height: 100%;
+    border: 0;
+  }
+`;
+
+// A boolean attribute that is on when present, unless set to "false" or "0"
+const isOn = (value) => value !== null && !['false', '0'].includes(value.trim().toLowerCase());
+
+// Bare numbers are pixels
+const cssLength = (value) => (/^\d+(\.\d+)?$/.test(value) ? `${value}px` : value);
+
+class NewYearWave extends HTMLElement {
+  static observedAttributes = [...Object.keys(PARAMS), 'transparent', 'width', 'height', 'src'];
+
+  constructor() {
+    super();
+    const style = document.createElement('style');
+    style.textContent = STYLE;
+    this.frame = document.createElement('iframe');
+    this.frame.title = 'New Year Wave';
+    this.attachShadow({ mode: 'open' }).append(style, this.frame);
+  }
+
+  connectedCallback() {
+    this.update();
+  }
+
+  attributeChangedCallback() {
+    if (this.isConnected) this.update();
+  }
+
+  update() {
+    const url = new URL(this.getAttribute('src') || APP_URL, document.baseURI);
+    url.search = '';
+    url.searchParams.set('embed', '1');
+    Object.entries(PARAMS).forEach(([attribute, param]) => {
+      const value = this.getAttribute(attribute);
+      if (value) url.searchParams.set(param, value);
+    });
+    const transparent = isOn(this.getAttribute('transparent'));
+    if (transparent) url.searchParams.set('transparent', '1');
+    if (this.frame.src !== url.href) this.frame.src = url.href;
+    // The app leaves its colour scheme unset when transparent; browsers only see through
+    // a frame whose colour scheme matches the frame element's
+    this.frame.style.colorScheme = transparent ? 'normal' : '';
+
+    // An explicit height replaces the default shape
+    this.style.width = cssLength(this.getAttribute('width') ?? '');
+    this.style.height = cssLength(this.getAttribute('height') ?? '');
+    this.style.aspectRatio = this.hasAttribute('height') ? 'auto' : '';
+  }
+}
+
+if (!customElements.get('new-year-wave')) {
+  customElements.define('new-year-wave', NewYearWave);
+}
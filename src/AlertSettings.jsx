@@ -0,0 +1,49 @@
+import { ALERT_LEADS } from './useArrivalAlerts';
+import { useI18n } from './i18n';
+
+// Opt-in controls for arrival notifications and the crossing chime
+export default function AlertSettings({ alerts, live, placeCount }) {
+  const { settings, permission, background, toggleEnabled, toggleLead, toggleChime } = alerts;
+  const { t, formatDuration } = useI18n();
+
+  let note = null;
+  if (permission === 'unsupported') {
+    note = t('alerts.unsupported');
+  } else if (permission === 'denied') {
+    note = t('alerts.denied');
+  } else if (settings.enabled && !placeCount) {
+    note = t('alerts.noPlaces');
+  } else if (settings.enabled && !live && !background) {
+    note = t('alerts.simulated');
+  } else if (settings.enabled) {
+    note = t(background ? 'alerts.activeBackground' : 'alerts.active');
+  }
+
+  return (
+    <div className="alert-settings" role="group" aria-label={t('alerts.group')}>
+      <button
+        className={`map-option ${settings.enabled ? 'active' : ''}`}
+        onClick={toggleEnabled}
+        disabled={permission === 'unsupported' || permission === 'denied'}
+        aria-pressed={settings.enabled}
+      >
+        {t(settings.enabled ? 'alerts.on' : 'alerts.notify')}
+      </button>
+      {settings.enabled && ALERT_LEADS.map(minutes => (
+        <label key={minutes} className="alert-settings-lead">
+          <input
+            type="checkbox"
+            checked={settings.leads.includes(minutes)}
+            onChange={() => toggleLead(minutes)}
+          />
+          {minutes ? t('alerts.lead', { lead: formatDuration(minutes) }) : t('alerts.atCrossing')}
+        </label>
+      ))}
+      <label className="alert-settings-lead">
+        <input type="checkbox" checked={settings.chime} onChange={toggleChime} />
+        {t('alerts.chime')}
+      </label>
+      {note && <div className="alert-settings-note">{note}</div>}
+    </div>
+  );
+}
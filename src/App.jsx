@@ -1,55 +1,366 @@
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import * as d3 from 'd3';
-import * as topojson from 'topojson-client';
+import { geoRobinson } from 'd3-geo-projection';
 import { DateTime, Duration } from 'luxon';
+import TimeControls from './TimeControls';
+import EventPicker from './EventPicker';
+import LocationSearch from './LocationSearch';
+import PinnedLocations from './PinnedLocations';
+import AlertSettings from './AlertSettings';
+import PopulationPanel from './PopulationPanel';
+import CountryTimeline from './CountryTimeline';
+import UpNext from './UpNext';
+import ExportPanel from './ExportPanel';
+import ThemePicker from './ThemePicker';
+import { formatCoordinates, loadGazetteer } from './gazetteer';
+import { arrivalEvent, downloadArrival } from './ics';
+import { countryCrossings, crossingNow, crossingSpan, crossingSchedule, majorCities, upcomingCrossings } from './crossings';
+import { crossedPopulation, crossingSeries, loadPopulation } from './population';
+import { GEO_DETAIL_LEVELS, GEO_SOURCES, loadCountries, retryWithBackoff } from './geoData';
+import { drawWaveLayers, meridian, projectVisible, renderNewYearFills } from './mapCanvas';
+import { SOLAR_MODES, equationOfTime } from './solar';
+import {
+  CALENDARS,
+  arrivalTime,
+  coverage as waveCoverage,
+  eventTarget,
+  hasArrived,
+  isAnyNewYear,
+  midnightLongitude,
+  transitionState,
+  waveWindow,
+} from './wave';
+import { zodiacAnimal } from './calendars';
+import { eventParams, readEmbedParams, readEventParams, readViewParams, viewUrl } from './viewLink';
+import { buildZoneGrid, civilMidnight, civilMidnightRegion, zoneAt, zoneMidnights } from './civilTime';
+import { useSimulatedClock } from './useSimulatedClock';
+import { usePinnedLocations } from './usePinnedLocations';
+import { useArrivalAlerts } from './useArrivalAlerts';
+import { useMilestoneAnnouncer } from './useMilestoneAnnouncer';
+import { useTheme } from './useTheme';
+import { fade } from './themes';
+import { LOCALES, useI18n } from './i18n';
 import './App.css';
 
-const GEO_URL = 'https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json';
+const MAP_WIDTH = 900;
+const MAP_HEIGHT = 500;
+const MAX_ZOOM = 40;
+
+// Smallest movement of the midnight line, in screen pixels, worth drawing a new frame for
+const MIN_REDRAW_SHIFT = 0.25;
 const SITE_URL = 'https://nx10.dev/new-year-wave';
 const TIMEZONE_MAP_URL = 'https://www.timeanddate.com/counters/newyearmap.html';
 
+// Places listed in the "up next" feed
+const UP_NEXT_COUNT = 6;
+
+// Map projections offered by the projection picker, named by `projection.<key>` messages.
+// `rotatable` projections can be dragged and follow the midnight line; `axes` draws lon/lat axes.
+const PROJECTIONS = {
+  equirectangular: { create: () => d3.geoEquirectangular(), axes: true },
+  naturalEarth: { create: () => d3.geoNaturalEarth1() },
+  robinson: { create: () => geoRobinson() },
+  globe: { create: () => d3.geoOrthographic().clipAngle(90), rotatable: true },
+  polar: {
+    // Looking down on the pole the midnight line becomes a hand sweeping round the clock
+    create: () => d3.geoAzimuthalEquidistant().rotate([0, -90]).clipAngle(150),
+  },
+};
+
+// Tilt of the globe when following the line, so the northern hemisphere faces the viewer
+const GLOBE_TILT = -20;
+
+// Degrees the line moves before a globe following it turns again, at 1× zoom (under
+// half a pixel at the globe's centre)
+const FOLLOW_STEP = 0.1;
+
+// Room for the lon/lat axes on the flat map; other projections only need a small inset
+const mapMargin = (projectionName) => (PROJECTIONS[projectionName].axes
+  ? { top: 20, right: 20, bottom: 40, left: 50 }
+  : { top: 15, right: 15, bottom: 15, left: 15 });
+
+const plotExtent = (margin) => [[margin.left, margin.top], [MAP_WIDTH - margin.right, MAP_HEIGHT - margin.bottom]];
+
+// The projection fitted to the plot area and, for the globe, rotated; zoom comes on top
+const fittedProjection = (projectionName, rotation) => {
+  const { create, rotatable } = PROJECTIONS[projectionName];
+  const projection = create().fitExtent(plotExtent(mapMargin(projectionName)), { type: 'Sphere' });
+  if (rotatable) projection.rotate(rotation);
+  return projection;
+};
+
+// Zoom as an SVG transform on paths drawn with the fitted projection: the same as the
+// zoomed projection in mapView, where the globe zooms about its centre
+const zoomTransformAttr = (projectionName, projection, { k, x, y }) => {
+  if (!PROJECTIONS[projectionName].rotatable) return `translate(${x}, ${y}) scale(${k})`;
+  const [tx, ty] = projection.translate();
+  return `translate(${tx * (1 - k)}, ${ty * (1 - k)}) scale(${k})`;
+};
+
+// Degree steps for axis ticks and graticule lines, coarsest first
+const DEGREE_STEPS = [60, 30, 15, 10, 5, 2, 1, 0.5, 0.25, 0.1];
+
+// Coarsest step that still gives `count` lines across a span of degrees
+const degreeStep = (span, count) =>
+  DEGREE_STEPS.find(step => span / step >= count) ?? DEGREE_STEPS[DEGREE_STEPS.length - 1];
+
+// Multiples of `step` within [min, max]
+const degreeTicks = (min, max, step) =>
+  d3.range(Math.ceil(min / step - 1e-9) * step, max + step * 1e-6, step);
+
+// Axis label with just enough decimals for the current step
+const formatDegrees = (d, step) => `${d.toFixed(step < 1 ? String(step).length - 2 : 0)}°`;
+
+// Share of a feature's area lying east of a meridian, i.e. already past the midnight line.
+// Uses a cylindrical equal-area projection so a meridian cut is a vertical clip line
+// and planar areas are proportional to true areas.
+const areaEastOf = (feature, lon) => {
+  const equalArea = () => d3.geoProjection((x, y) => [x, Math.sin(y)])
+    .scale(1000)
+    .translate([0, 0]);
+  const total = d3.geoPath(equalArea()).area(feature);
+  if (!total) return 0;
+  const x0 = (lon * Math.PI / 180) * 1000;
+  const clipped = d3.geoPath(
+    equalArea().clipExtent([[x0, -2000], [Math.PI * 1000 + 1, 2000]])
+  ).area(feature);
+  return Math.min(1, clipped / total);
+};
+
+// "23 min before solar midnight", "1 h 5 min after solar midnight"
+const formatMidnightOffset = (minutes, { t, formatDuration }) => {
+  if (minutes === 0) return t('offset.same');
+  const amount = formatDuration(Math.abs(minutes));
+  return t(minutes < 0 ? 'offset.before' : 'offset.after', { amount });
+};
+
+// Selection state for a country: its feature and centroid
+const selectCountry = (d) => {
+  const centroid = d3.geoCentroid(d);
+  if (!centroid) return null;
+  return {
+    name: d.properties?.name || 'Unknown',
+    longitude: centroid[0],
+    latitude: centroid[1],
+    feature: d,
+    // Don't compute inNewYear or midnight times here - they follow current state when rendering
+  };
+};
+
+// Wording for the tracked event: New Year reads "2027", other calendars' new years
+// use their own year numbering, anything else uses its name. `file` stays in English
+// for export file names.
+const eventLabels = (event, { date, at, year }, { t, formatDate }) => {
+  const arrival = t(at ? 'arrival.startOf' : 'arrival.solarMidnight');
+  if (event.calendar) {
+    const key = event.calendar;
+    const { label, formatYear } = CALENDARS[key];
+    const yearName = (y) => t(`calendar.${key}.year`, { year: y, animal: t(`animal.${zodiacAnimal(y)}`) });
+    const name = t(`calendar.${key}.label`);
+    const current = yearName(year);
+    return {
+      name,
+      arrival,
+      title: t('labels.title', { name }),
+      before: yearName(year - 1),
+      after: current,
+      arrived: t('labels.in', { year: current }),
+      people: t('labels.peopleIn', { year: current }),
+      partial: t('labels.partiallyIn', { year: current }),
+      reached: t('labels.youreIn', { year: current }),
+      complete: t('labels.complete', { greeting: t(`calendar.${key}.greeting`) }),
+      awaiting: t('labels.awaiting', { name }),
+      wave: t('labels.calendarWave', { name, year: current }),
+      share: t(at ? 'labels.shareCalendarInstant' : 'labels.shareCalendar', { name, year: current }),
+      file: `${label} ${formatYear(year)} wave`,
+    };
+  }
+  if (isAnyNewYear(event)) {
+    const year = String(date.year);
+    return {
+      name: year,
+      arrival,
+      title: t('labels.newYearTitle'),
+      before: String(date.year - 1),
+      after: year,
+      arrived: t('labels.in', { year }),
+      people: t('labels.peopleIn', { year }),
+      partial: t('labels.partiallyIn', { year }),
+      reached: t('labels.youreIn', { year }),
+      complete: t('labels.newYearComplete'),
+      awaiting: t('labels.awaitingNewYear'),
+      wave: t('labels.newYearWave', { year }),
+      share: t('labels.shareNewYear', { year }),
+      file: `${year} new year wave`,
+    };
+  }
+  const { name } = event;
+  return {
+    name,
+    arrival,
+    title: t('labels.title', { name }),
+    before: t('labels.before', { name }),
+    after: name,
+    arrived: t('labels.hasArrived', { name }),
+    people: t('labels.peopleReached', { name }),
+    partial: t('labels.partlyArrived', { name }),
+    reached: t('labels.reachedYou', { name }),
+    complete: t('labels.completeEverywhere', { name }),
+    awaiting: t('labels.awaiting', { name }),
+    wave: t('labels.wave', { name }),
+    share: t('labels.shareEvent', { name, date: formatDate(date) }),
+    file: `${name} wave`,
+  };
+};
+
+// Generate stars (once per page load)
+const STARS = [...Array(150)].map((_, i) => ({
+  id: i,
+  left: `${Math.random() * 100}%`,
+  top: `${Math.random() * 100}%`,
+  size: `${Math.random() * 2 + 1}px`,
+  delay: `${Math.random() * 3}s`,
+  duration: `${Math.random() * 2 + 2}s`,
+}));
+
 export default function App() {
+  // Base map (SVG), moving layers (canvas) and overlay (SVG), stacked in that order
   const svgRef = useRef(null);
+  const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const [canvasScale, setCanvasScale] = useState(1);
   const [geoData, setGeoData] = useState(null);
-  const [currentTime, setCurrentTime] = useState(DateTime.utc());
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  // Bumped by "Try Again" to re-run the loader; retryInfo describes a pending automatic retry
+  const [loadAttempt, setLoadAttempt] = useState(0);
+  const [retryInfo, setRetryInfo] = useState(null);
   const [copied, setCopied] = useState(false);
+
+  // Interface language and locale-aware formatting (see I18nProvider)
+  const i18n = useI18n();
+  const { locale, t } = i18n;
+
+  // View restored from a shared link (?country=, ?loc=, ?proj=, ...), read once
+  const [initialView] = useState(readViewParams);
+
+  // Embedded widget (?embed=1): only the chosen panels, read once
+  const [embed] = useState(readEmbedParams);
+
+  // Colour theme for the page and the map drawing (see themes.js)
+  const theme = useTheme(initialView, { transparent: embed?.transparent });
+  const { palette } = theme;
+
+  // A transparent embed lets the host page or stream show through
+  useEffect(() => {
+    document.body.classList.toggle('transparent', Boolean(embed?.transparent));
+  }, [embed]);
   
   // User location state
-  const [userLocation, setUserLocation] = useState(null);
+  const [userLocation, setUserLocation] = useState(initialView.location ?? null);
   const [locationLoading, setLocationLoading] = useState(false);
   const [locationError, setLocationError] = useState(null);
+
+  // Pinned places (watch list), saved across visits
+  const { pins, addPin, renamePin, removePin, movePin } = usePinnedLocations();
   
   // Hover state for countries
   const [hoveredCountry, setHoveredCountry] = useState(null);
+  // Country that holds keyboard focus on the map (its name), kept across redraws
+  const focusedCountryRef = useRef(null);
+
+  // Civil (time zone) midnight layer
+  const [showCivilLayer, setShowCivilLayer] = useState(initialView.civil ?? false);
+
+  // Map projection, and globe rotation [lambda, phi] when dragged by hand
+  const [projectionName, setProjectionName] = useState(
+    PROJECTIONS[initialView.projection] ? initialView.projection : 'equirectangular'
+  );
+  const [globeRotation, setGlobeRotation] = useState(initialView.rotation ?? [0, GLOBE_TILT]);
+  const [followLine, setFollowLine] = useState(!initialView.rotation);
+
+  // Zoom/pan transform and any higher-resolution geometry loaded for it (keyed by minZoom)
+  const [zoomTransform, setZoomTransform] = useState(() => {
+    const zoom = initialView.zoom;
+    if (!zoom) return d3.zoomIdentity;
+    return d3.zoomIdentity.translate(zoom.x, zoom.y).scale(Math.min(zoom.k, MAX_ZOOM));
+  });
+  const [detailGeo, setDetailGeo] = useState({});
+
+  // Day/night terminator overlay
+  const [showDayNight, setShowDayNight] = useState(initialView.dayNight ?? true);
 
-  // Fetch geographic data
+  // Event the wave runs toward (New Year unless set via the picker, ?date= or ?calendar=)
+  const [event, setEvent] = useState(readEventParams);
+  // Keep ?date=, ?event=, ?calendar= and ?year= in sync so a custom event can be linked
   useEffect(() => {
+    const url = new URL(window.location.href);
+    ['date', 'event', 'calendar', 'year'].forEach(key => url.searchParams.delete(key));
+    eventParams(event).forEach(([key, value]) => url.searchParams.set(key, value));
+    window.history.replaceState(null, '', url);
+  }, [event]);
+
+  // Fetch geographic data (CDN, then bundled copy), retrying with backoff
+  useEffect(() => {
+    let cancelled = false;
     const loadGeoData = async () => {
       try {
-        const response = await fetch(GEO_URL);
-        if (!response.ok) throw new Error('Failed to fetch map data');
-        const topology = await response.json();
-        const countries = topojson.feature(topology, topology.objects.countries);
+        const countries = await retryWithBackoff(() => loadCountries(GEO_SOURCES), {
+          onRetry: (attempt, delay) => {
+            if (!cancelled) setRetryInfo({ attempt, seconds: delay / 1000 });
+          },
+          isCancelled: () => cancelled,
+        });
+        if (cancelled) return;
         setGeoData(countries);
+        setRetryInfo(null);
         setLoading(false);
+        // Reselect a linked country once its shape is known
+        const linked = initialView.country
+          && countries.features.find(d => d.properties?.name === initialView.country);
+        if (linked) setHoveredCountry(selectCountry(linked));
       } catch (err) {
+        if (cancelled) return;
         console.error('Failed to load geo data:', err);
         setError(err.message);
+        setRetryInfo(null);
         setLoading(false);
       }
     };
     loadGeoData();
-  }, []);
+    return () => { cancelled = true; };
+  }, [loadAttempt, initialView]);
 
-  // Real-time clock update
+  // Load higher-resolution geometry the first time a zoom level needs it
+  const detailLevel = GEO_DETAIL_LEVELS.find(level => zoomTransform.k >= level.minZoom);
   useEffect(() => {
-    const interval = setInterval(() => {
-      setCurrentTime(DateTime.utc());
-    }, 1000);
-    return () => clearInterval(interval);
-  }, []);
+    if (!detailLevel || detailGeo[detailLevel.minZoom]) return;
+    let cancelled = false;
+    const loadDetail = async () => {
+      try {
+        const countries = await loadCountries(detailLevel.sources);
+        if (!cancelled) setDetailGeo(prev => ({ ...prev, [detailLevel.minZoom]: countries }));
+      } catch (err) {
+        // Keep showing the coarser geometry
+        console.error('Failed to load detailed geo data:', err);
+      }
+    };
+    loadDetail();
+    return () => { cancelled = true; };
+  }, [detailLevel, detailGeo]);
+
+  // Most detailed geometry already loaded for the current zoom level
+  const mapData = useMemo(() => {
+    const level = GEO_DETAIL_LEVELS.find(l => zoomTransform.k >= l.minZoom && detailGeo[l.minZoom]);
+    return level ? detailGeo[level.minZoom] : geoData;
+  }, [zoomTransform.k, detailGeo, geoData]);
+
+  // Clock: real time by default, or a simulated instant when scrubbing/replaying
+  const clock = useSimulatedClock();
+  const { currentTime } = clock;
+
+  // Mean or apparent (equation-of-time corrected) solar midnight
+  const [solarMode, setSolarMode] = useState(initialView.mode ?? 'mean');
 
   // Calculate solar midnight longitude
   // Solar noon occurs at longitude = (12 - UTC_hour) * 15
@@ -60,58 +371,64 @@ export default function App() {
   // At UTC 06:00 → solar midnight at -90° (western Atlantic)
   // At UTC 12:00 → solar midnight at -180°/180° (date line)
   // At UTC 18:00 → solar midnight at -270° = 90° (Asia)
+  //
+  // In apparent mode the line is shifted by the equation of time (see solar.js)
   const solarMidnightLon = useMemo(() => {
-    const totalHours = currentTime.hour + currentTime.minute / 60 + currentTime.second / 3600;
-    
-    let lon = -totalHours * 15;
-    // Normalize to -180 to 180
-    while (lon < -180) lon += 360;
-    while (lon > 180) lon -= 360;
-    return lon;
-  }, [currentTime]);
+    return midnightLongitude(currentTime, solarMode);
+  }, [currentTime, solarMode]);
 
-  // Determine the relevant year for display
-  const { displayYear, previousYear } = useMemo(() => {
-    const year = currentTime.year;
-    // If we're in December, the "new year" is next year
-    if (currentTime.month === 12) {
-      return { displayYear: year + 1, previousYear: year };
-    }
-    return { displayYear: year, previousYear: year - 1 };
-  }, [currentTime]);
+  // Globe rotation: centred on the midnight line while following it, otherwise as dragged
+  // (only the globe depends on the time, so flat maps are not re-projected on every tick).
+  // The line moves 15°/hour, so the globe only turns once it has moved a visible step.
+  const followingLine = PROJECTIONS[projectionName].rotatable && followLine;
+  const followStep = FOLLOW_STEP / zoomTransform.k;
+  const followLon = followingLine ? Math.round(solarMidnightLon / followStep) * followStep : null;
+  const globeView = useMemo(() => {
+    return followLon === null ? globeRotation : [-followLon, GLOBE_TILT];
+  }, [followLon, globeRotation]);
+
+  // Current equation of time, shown in the explanation panel
+  const eotMinutes = useMemo(() => equationOfTime(currentTime), [currentTime]);
+
+  // Determine the target being tracked
+  // (for New Year, in December the "new year" is next year). Keyed by its ISO date so
+  // it only changes identity when the date does, not on every tick; a target is the
+  // same from any instant within its lead time, including its own date.
+  const targetISO = eventTarget(currentTime, event).date.toISODate();
+  const target = useMemo(
+    () => eventTarget(DateTime.fromISO(targetISO, { zone: 'utc' }), event),
+    [targetISO, event]
+  );
+  const targetDate = target.date;
+  const labels = useMemo(() => eventLabels(event, target, i18n), [event, target, i18n]);
 
-  // Check if we're in the new year transition window
-  // The wave of solar midnight entering Jan 1 starts at Dec 31 12:00 UTC
-  // (when solar midnight at lon=180° crosses into Jan 1 local solar date)
-  // and completes at Jan 1 12:00 UTC (when solar midnight at lon=-180° finishes)
+  // Calculate when solar midnight of the target date occurs at a given longitude
+  // Solar midnight at longitude L occurs when UTC hour = -L/15 (mod 24)
+  // For Jan 1 solar midnight at longitude L:
+  // UTC time = (180 - L) / 15 hours after Dec 31 12:00 UTC (mean time)
+  // A new year that begins at one instant (Nowruz) arrives then everywhere.
+  const getSolarMidnightTime = useCallback((lon) => {
+    return arrivalTime(lon, target, solarMode);
+  }, [target, solarMode]);
+
+  // The wave of solar midnight entering Jan 1 starts when it reaches lon=180°
+  // (Dec 31 12:00 UTC in mean time) and completes when it reaches lon=-180°
+  // (Jan 1 12:00 UTC); apparent midnight shifts both by the equation of time.
+  // Other target dates follow the same pattern around their own day.
+  const transitionWindow = useMemo(() => {
+    return waveWindow(target, solarMode);
+  }, [target, solarMode]);
+  const waveStart = transitionWindow.start;
+
+  // Check if we're in the transition window
   const { inTransition, transitionComplete, beforeTransition } = useMemo(() => {
-    const month = currentTime.month;
-    const day = currentTime.day;
-    const hour = currentTime.hour + currentTime.minute / 60;
-    
-    const isDec31 = month === 12 && day === 31;
-    const isJan1 = month === 1 && day === 1;
-    
-    // Transition: Dec 31 12:00 UTC to Jan 1 12:00 UTC
-    const inTransition = (isDec31 && hour >= 12) || (isJan1 && hour < 12);
-    
-    // Complete: Jan 1 12:00 UTC onwards (until next December)
-    const transitionComplete = (isJan1 && hour >= 12) || 
-                               (month === 1 && day > 1) || 
-                               (month > 1 && month < 12);
-    
-    // Before: Dec 31 before 12:00 UTC, or earlier in December
-    const beforeTransition = (isDec31 && hour < 12) || (month === 12 && day < 31);
-    
-    return { inTransition, transitionComplete, beforeTransition };
-  }, [currentTime]);
+    return transitionState(currentTime, target, solarMode);
+  }, [currentTime, target, solarMode]);
 
-  // Countdown to wave start (Dec 31 12:00 UTC)
+  // Countdown to wave start
   const countdown = useMemo(() => {
     if (!beforeTransition) return null;
     
-    const year = currentTime.year;
-    const waveStart = DateTime.utc(year, 12, 31, 12, 0, 0);
     const diff = waveStart.diff(currentTime, ['days', 'hours', 'minutes', 'seconds']);
     
     if (diff.toMillis() <= 0) return null;
@@ -123,65 +440,65 @@ export default function App() {
       seconds: Math.floor(diff.seconds),
       total: diff.toMillis()
     };
-  }, [currentTime, beforeTransition]);
-
-  // Check if a longitude has entered the new year
-  // The wave starts at lon=180° (date line) at Dec 31 12:00 UTC and sweeps westward
-  // A location is in the new year if solar midnight has passed there on Jan 1 (local solar date)
-  const isNewYear = useMemo(() => {
-    if (!inTransition && !transitionComplete) return () => false;
-    if (transitionComplete) return () => true;
-    
-    // During transition: the midnight line sweeps westward from 180°
-    // New year region = everything EAST of the current midnight line
-    // (i.e., between the midnight line and 180°, going eastward)
-    return (lon) => {
-      // Normalize longitude to -180 to 180
-      const normLon = lon > 180 ? lon - 360 : (lon < -180 ? lon + 360 : lon);
-      
-      // The new year region is from solarMidnightLon eastward to 180°
-      // This is simply: normLon > solarMidnightLon
-      // Works because:
-      // - If midnight is at 90°E, new year is 90° to 180° (normLon > 90)
-      // - If midnight is at -30°, new year is -30° to 180° (normLon > -30)
-      return normLon > solarMidnightLon;
-    };
+  }, [currentTime, waveStart, beforeTransition]);
+
+  // Check if a longitude has reached the target date
+  // The wave starts at lon=180° (date line) and sweeps westward; a location has
+  // arrived once solar midnight has passed there on the target (local solar) date
+  const isNewYear = useCallback((lon) => {
+    return hasArrived(currentTime, lon, target, solarMode);
+  }, [currentTime, target, solarMode]);
+
+  // Fraction of a country's area that has entered the new year (0-1)
+  const getCrossedShare = useCallback((feature) => {
+    if (transitionComplete) return 1;
+    if (!inTransition) return 0;
+    return areaEastOf(feature, solarMidnightLon);
   }, [solarMidnightLon, inTransition, transitionComplete]);
 
   // Coverage percentage
-  // 0% at Dec 31 12:00 UTC, 100% at Jan 1 12:00 UTC (24 hour window)
+  // 0% when the wave starts at the Date Line, 100% a day later when it completes
   const coverage = useMemo(() => {
-    if (beforeTransition) return 0;
-    if (transitionComplete) return 100;
-    
-    const month = currentTime.month;
-    const day = currentTime.day;
-    const hour = currentTime.hour + currentTime.minute / 60 + currentTime.second / 3600;
-    
-    if (month === 12 && day === 31) {
-      // Dec 31 12:00-24:00 UTC = 0-50%
-      return ((hour - 12) / 24) * 100;
-    } else if (month === 1 && day === 1) {
-      // Jan 1 00:00-12:00 UTC = 50-100%
-      return ((hour + 12) / 24) * 100;
-    }
-    return 0;
-  }, [currentTime, beforeTransition, transitionComplete]);
+    return waveCoverage(currentTime, target, solarMode);
+  }, [currentTime, target, solarMode]);
 
-  // Local time
+  // People reached, once the population grid has loaded; the coverage figure then
+  // counts people rather than time. Instant targets have no crossing to chart.
+  const [population, setPopulation] = useState(null);
+  useEffect(() => {
+    loadPopulation()
+      .then(setPopulation)
+      .catch(err => console.warn('Population data unavailable:', err));
+  }, []);
+  const crossedPeople = useMemo(() => {
+    if (!population) return null;
+    return crossedPopulation(population, { inTransition, transitionComplete }, solarMidnightLon);
+  }, [population, inTransition, transitionComplete, solarMidnightLon]);
+  const crossingChart = useMemo(() => {
+    if (!population || target.at) return null;
+    return crossingSeries(population, transitionWindow, solarMode);
+  }, [population, target, transitionWindow, solarMode]);
+  const peopleShare = crossedPeople && population
+    ? (crossedPeople.reduce((a, b) => a + b, 0) / population.total) * 100
+    : null;
+
+  // Local time (follows the simulated clock)
   const localTime = useMemo(() => {
-    return DateTime.local();
-  }, [currentTime]); // Update when currentTime updates
+    return currentTime.toLocal();
+  }, [currentTime]);
 
-  // Calculate when solar midnight Jan 1 occurs at a given longitude
-  const getSolarMidnightTime = useCallback((lon) => {
-    // Solar midnight at longitude L occurs when UTC hour = -L/15 (mod 24)
-    // For Jan 1 solar midnight at longitude L:
-    // UTC time = (180 - L) / 15 hours after Dec 31 12:00 UTC
-    const hoursAfterWaveStart = (180 - lon) / 15;
-    const waveStart = DateTime.utc(currentTime.year, 12, 31, 12, 0, 0);
-    return waveStart.plus({ hours: hoursAfterWaveStart });
-  }, [currentTime.year]);
+  // Scrubber window: the 24-hour wave plus six hours either side, or 18 hours either
+  // side of a new year that begins at one instant
+  const { scrubStart, scrubEnd } = useMemo(() => {
+    const center = target.at ?? target.date;
+    return { scrubStart: center.minus({ hours: 18 }), scrubEnd: center.plus({ hours: 18 }) };
+  }, [target]);
+
+  // Time zone at the user's location: the gazetteer's for a searched city, else looked up
+  const userZone = useMemo(() => {
+    if (!userLocation) return null;
+    return userLocation.timeZone ?? zoneAt(userLocation.latitude, userLocation.longitude);
+  }, [userLocation]);
 
   // User's solar midnight time for Jan 1
   const userSolarMidnight = useMemo(() => {
@@ -195,10 +512,138 @@ export default function App() {
     return isNewYear(userLocation.longitude);
   }, [userLocation, isNewYear]);
 
+  // Which pins have arrived, as a string so the overlay is only redrawn when one changes
+  const pinArrivals = pins.map(pin => (isNewYear(pin.longitude) ? '1' : '0')).join('');
+
+  const isPinnedAt = useCallback((location) => pins.some(pin =>
+    pin.latitude === location.latitude && pin.longitude === location.longitude), [pins]);
+  const isPinned = Boolean(userLocation) && isPinnedAt(userLocation);
+
+  // Places watched by the arrival alerts: your location, then the pins
+  const alertPlaces = useMemo(() => {
+    const places = pins.map(pin => ({
+      id: pin.id,
+      label: pin.label,
+      arrival: getSolarMidnightTime(pin.longitude),
+      timeZone: pin.timeZone,
+    }));
+    if (!userLocation) return places;
+    return [{
+      id: 'you',
+      label: userLocation.name ?? t('location.alertName'),
+      arrival: getSolarMidnightTime(userLocation.longitude),
+      timeZone: userZone,
+    }, ...places];
+  }, [pins, userLocation, userZone, getSolarMidnightTime, t]);
+
+  const alerts = useArrivalAlerts({
+    places: alertPlaces,
+    currentTime,
+    live: clock.live,
+    playing: clock.playing,
+    labels,
+    i18n,
+  });
+
+  // Milestones read out by the live region: the wave starting, reaching each continent
+  // and your location, and completing. A new year that begins at one instant only
+  // reaches you and completes.
+  const milestones = useMemo(() => {
+    const list = [];
+    if (!target.at) {
+      list.push({
+        id: 'start',
+        reached: inTransition || transitionComplete,
+        message: t('announce.started', { wave: labels.wave }),
+      });
+      population?.continents.forEach((code, i) => list.push({
+        id: `continent-${code}`,
+        reached: Boolean(crossedPeople?.[i]),
+        message: t('announce.continent', { wave: labels.wave, continent: t(`continent.${code}`) }),
+      }));
+    }
+    if (userLocation) {
+      // Keyed by place, so choosing another location starts quiet
+      list.push({
+        id: `you-${userLocation.latitude},${userLocation.longitude}`,
+        reached: userInNewYear,
+        message: labels.reached,
+      });
+    }
+    list.push({ id: 'complete', reached: transitionComplete, message: labels.complete });
+    return list;
+  }, [target, inTransition, transitionComplete, population, crossedPeople, userLocation, userInNewYear, labels, t]);
+  const announcement = useMilestoneAnnouncer(milestones);
+
+  // Pin a place: your location, or a search result straight from the list
+  const pinLocation = (location) => addPin({
+    label: location.name ?? formatCoordinates(location),
+    latitude: location.latitude,
+    longitude: location.longitude,
+    timeZone: location.timeZone ?? zoneAt(location.latitude, location.longitude),
+  });
+
+  // Tooltip status for the selected country, split by how much of it has crossed
+  const hoveredStatus = useMemo(() => {
+    if (!hoveredCountry) return null;
+    const share = getCrossedShare(hoveredCountry.feature);
+    if (share >= 0.995) {
+      return { className: 'new-year', text: `✓ ${labels.arrived}` };
+    }
+    if (share > 0.005) {
+      return {
+        className: 'partial',
+        text: t('tooltip.crossed', { status: labels.partial, percent: i18n.formatNumber(Math.round(share * 100)) }),
+      };
+    }
+    return { className: 'old-year', text: t('tooltip.waiting', { name: labels.name }) };
+  }, [hoveredCountry, getCrossedShare, labels, t, i18n]);
+
+  // Solar midnight for the selected country (at its centroid)
+  const hoveredMidnight = useMemo(() => {
+    if (!hoveredCountry) return null;
+    return getSolarMidnightTime(hoveredCountry.longitude);
+  }, [hoveredCountry, getSolarMidnightTime]);
+
+  // Civil midnight for the selected country's time zone (at its centroid)
+  // (not compared for a new year that begins at one instant)
+  const hoveredCivil = useMemo(() => {
+    if (!hoveredCountry || target.at) return null;
+    const zone = zoneAt(hoveredCountry.latitude, hoveredCountry.longitude);
+    if (!zone) return null;
+    const midnight = civilMidnight(zone, targetDate);
+    const offsetMinutes = Math.round(midnight.diff(hoveredMidnight, 'minutes').minutes);
+    return { zone, midnight, offsetMinutes };
+  }, [hoveredCountry, hoveredMidnight, target, targetDate]);
+
+  // Time zone grid is only sampled once the civil layer is switched on
+  const zoneGrid = useMemo(() => (showCivilLayer ? buildZoneGrid() : null), [showCivilLayer]);
+  const midnights = useMemo(
+    () => (zoneGrid ? zoneMidnights(zoneGrid, targetDate) : null),
+    [zoneGrid, targetDate]
+  );
+  const sortedMidnights = useMemo(
+    () => (midnights ? [...midnights].sort((a, b) => a - b) : null),
+    [midnights]
+  );
+
+  // Zones only ever go from "before" to "after" midnight, so the number reached
+  // identifies the region and we only re-trace it when another zone ticks over
+  const civilReachedCount = useMemo(() => {
+    if (!sortedMidnights) return 0;
+    return d3.bisectRight(sortedMidnights, currentTime.toMillis());
+  }, [sortedMidnights, currentTime]);
+
+  const civilRegion = useMemo(() => {
+    if (!civilReachedCount) return null;
+    const cutoff = sortedMidnights[civilReachedCount - 1];
+    return civilMidnightRegion(zoneGrid, midnights, cutoff);
+  }, [zoneGrid, midnights, sortedMidnights, civilReachedCount]);
+
   // Request user location
   const requestLocation = useCallback(() => {
     if (!navigator.geolocation) {
-      setLocationError('Geolocation is not supported by your browser');
+      setLocationError('location.unsupported');
       return;
     }
     
@@ -214,63 +659,96 @@ export default function App() {
         setLocationLoading(false);
       },
       (err) => {
-        setLocationError('Unable to get your location');
+        setLocationError('location.failed');
         setLocationLoading(false);
       },
       { enableHighAccuracy: false, timeout: 10000 }
     );
   }, []);
 
-  // Status text
+  // Places on and ahead of the line: the map's countries and, once the gazetteer has
+  // loaded (it is precached, so usually at once), the largest cities
+  const [gazetteer, setGazetteer] = useState(null);
+  useEffect(() => {
+    loadGazetteer()
+      .then(setGazetteer)
+      .catch(err => console.warn('City list unavailable:', err));
+  }, []);
+  const crossingCountries = useMemo(() => (geoData ? countryCrossings(geoData.features) : []), [geoData]);
+  const crossingCities = useMemo(() => (gazetteer ? majorCities(gazetteer) : []), [gazetteer]);
+  const onTheLine = useMemo(() => {
+    if (!inTransition) return null;
+    return crossingNow(crossingCountries, crossingCities, solarMidnightLon);
+  }, [inTransition, crossingCountries, crossingCities, solarMidnightLon]);
+
+  // Next places to be reached (a new year that begins at one instant has no order)
+  const schedule = useMemo(() => {
+    if (target.at) return [];
+    return crossingSchedule(crossingCountries, crossingCities, getSolarMidnightTime);
+  }, [target, crossingCountries, crossingCities, getSolarMidnightTime]);
+  const upNext = useMemo(
+    () => upcomingCrossings(schedule, currentTime, UP_NEXT_COUNT),
+    [schedule, currentTime]
+  );
+
+  // Status text: the countries the line is cutting through right now
   const status = useMemo(() => {
-    if (transitionComplete) return 'Complete — Happy New Year! 🎉';
+    if (transitionComplete) return labels.complete;
     
     if (inTransition) {
-      // Wave goes: Pacific (180°) → Asia (90°) → Europe/Africa (0°) → Americas (-90°) → Pacific (-180°)
-      if (solarMidnightLon > 120) return 'Wave Beginning — Pacific Islands';
-      if (solarMidnightLon > 60) return 'Crossing East Asia & Australia';
-      if (solarMidnightLon > 0) return 'Crossing South Asia & Middle East';
-      if (solarMidnightLon > -30) return 'Crossing Europe & Africa';
-      if (solarMidnightLon > -90) return 'Crossing the Atlantic';
-      if (solarMidnightLon > -150) return 'Crossing the Americas';
-      return 'Final Stretch — Pacific';
+      const names = onTheLine.countries.slice(0, 3).map(country => country.name);
+      return names.length ? t('status.crossing', { places: i18n.formatList(names) }) : t('status.openWater');
     }
     
     if (beforeTransition) {
-      if (countdown && countdown.days === 0 && countdown.hours < 1) return 'Almost There...';
-      if (countdown && countdown.days === 0) return 'Wave Starting Soon';
-      return 'Awaiting Wave Start';
+      if (countdown && countdown.days === 0 && countdown.hours < 1) return t('status.almost');
+      if (target.at) return labels.awaiting;
+      if (countdown && countdown.days === 0) return t('status.soon');
+      return t('status.awaitingStart');
     }
     
-    return 'Awaiting New Year';
-  }, [currentTime, solarMidnightLon, inTransition, transitionComplete, beforeTransition, countdown]);
+    return labels.awaiting;
+  }, [onTheLine, inTransition, transitionComplete, beforeTransition, countdown, labels, target, t, i18n]);
 
   // Format countdown display
   const countdownDisplay = useMemo(() => {
     if (!countdown) return null;
-    
-    const parts = [];
-    if (countdown.days > 0) {
-      parts.push(`${countdown.days}d`);
-    }
-    parts.push(
-      `${String(countdown.hours).padStart(2, '0')}:${String(countdown.minutes).padStart(2, '0')}:${String(countdown.seconds).padStart(2, '0')}`
-    );
-    
-    return parts.join(' ');
-  }, [countdown]);
+    return i18n.formatCountdown(waveStart, currentTime);
+  }, [countdown, i18n, waveStart, currentTime]);
+
+  // Share functionality: the link reopens this exact view, and the text adds your own
+  // arrival time when a location is set
+  const personalNote = useMemo(() => {
+    if (!userSolarMidnight) return null;
+    const time = i18n.formatTime(userSolarMidnight.setZone(userZone ?? 'local'));
+    const where = userLocation.name ? t('share.where', { place: userLocation.name }) : '';
+    if (target.at) return t('share.begins', { year: labels.after, time, where });
+    return t(userInNewYear ? 'share.midnightWas' : 'share.midnightIs', { time, where });
+  }, [userSolarMidnight, userZone, userLocation, userInNewYear, target, labels, t, i18n]);
+  const shareText = personalNote ? `${labels.share} ${personalNote}` : labels.share;
+  const shareUrl = viewUrl(SITE_URL, {
+    time: clock.live ? null : currentTime,
+    event,
+    country: hoveredCountry?.name,
+    location: userLocation,
+    projection: projectionName,
+    rotation: PROJECTIONS[projectionName].rotatable && !followLine ? globeRotation : null,
+    zoom: zoomTransform,
+    civil: showCivilLayer,
+    dayNight: showDayNight,
+    mode: solarMode,
+    theme: theme.theme,
+    colors: theme.colors,
+  });
 
-  // Share functionality
-  const shareText = `Watch the ${displayYear} New Year sweep across the globe in real-time! 🌍✨`;
-  
   const handleCopyLink = useCallback(async () => {
     try {
-      await navigator.clipboard.writeText(SITE_URL);
+      await navigator.clipboard.writeText(shareUrl);
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
     } catch (err) {
       const textArea = document.createElement('textarea');
-      textArea.value = SITE_URL;
+      textArea.value = shareUrl;
       document.body.appendChild(textArea);
       textArea.select();
       document.execCommand('copy');
@@ -278,15 +756,15 @@ export default function App() {
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
     }
-  }, []);
+  }, [shareUrl]);
 
   const handleShare = useCallback(async () => {
     if (navigator.share) {
       try {
         await navigator.share({
-          title: 'New Year Wave',
+          title: labels.title,
           text: shareText,
-          url: SITE_URL,
+          url: shareUrl,
         });
       } catch (err) {
         if (err.name !== 'AbortError') {
@@ -296,301 +774,485 @@ export default function App() {
     } else {
       handleCopyLink();
     }
-  }, [shareText, handleCopyLink]);
+  }, [labels, shareText, shareUrl, handleCopyLink]);
+
+  const twitterUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(shareText)}&url=${encodeURIComponent(shareUrl)}`;
+
+  // Current view: the projection fitted to the plot area, rotated (globe) and zoomed,
+  // plus the visible lon/lat extent for axis ticks and graticule density
+  const mapView = useMemo(() => {
+    const { axes, rotatable } = PROJECTIONS[projectionName];
+    const margin = mapMargin(projectionName);
+    const projection = fittedProjection(projectionName, globeView);
+
+    // Apply zoom on top of the fitted projection. Flat maps zoom and pan; the globe
+    // only zooms about its centre because dragging it rotates instead.
+    const [tx, ty] = projection.translate();
+    projection
+      .scale(projection.scale() * zoomTransform.k)
+      .translate(rotatable ? [tx, ty] : zoomTransform.apply([tx, ty]))
+      .clipExtent(plotExtent(margin));
+
+    // Only the flat map inverts linearly; other projections keep the world-scale steps
+    const lonExtent = axes
+      ? [projection.invert([margin.left, 0])[0], projection.invert([MAP_WIDTH - margin.right, 0])[0]]
+      : [-180, 180];
+    const latExtent = axes
+      ? [projection.invert([0, MAP_HEIGHT - margin.bottom])[1], projection.invert([0, margin.top])[1]]
+      : [-90, 90];
 
-  const twitterUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(shareText)}&url=${encodeURIComponent(SITE_URL)}`;
+    return {
+      projection,
+      margin,
+      lonExtent,
+      latExtent,
+      lonStep: degreeStep(Math.min(360, lonExtent[1] - lonExtent[0]), 5),
+      latStep: degreeStep(Math.min(180, latExtent[1] - latExtent[0]), 5),
+    };
+  }, [projectionName, globeView, zoomTransform]);
+
+  // Countries in the order the wave first reaches them, for keyboard navigation
+  const waveOrder = useMemo(() => {
+    if (!mapData) return [];
+    return mapData.features
+      .map(feature => ({ feature, first: crossingSpan(feature).first }))
+      .sort((a, b) => b.first - a.first)
+      .map(({ feature }) => feature);
+  }, [mapData]);
+
+  // The base map's projection: the view without zoom, which the SVG applies as a
+  // transform instead. Finer than d3's default, as zooming scales the paths up.
+  const baseProjection = useMemo(
+    () => fittedProjection(projectionName, globeView).precision(0.1),
+    [projectionName, globeView]
+  );
 
-  // Render map with D3
+  // The latest rotation and zoomed scale, for the drag handler bound with the map
+  const dragViewRef = useRef(null);
   useEffect(() => {
-    if (!geoData || !svgRef.current) return;
+    dragViewRef.current = { rotation: globeView, scale: mapView.projection.scale() };
+  }, [globeView, mapView]);
+
+  // Base map (SVG): ocean, graticule and countries. The elements and their event
+  // handlers are only built for new geometry or another projection; the effects after
+  // this one reshape them as the globe turns, zoom or pan them and recolour them, so
+  // hover state, focus and the zoom behaviour survive.
+  useEffect(() => {
+    if (!mapData || !svgRef.current) return;
 
     const svg = d3.select(svgRef.current);
-    const width = 900;
-    const height = 500;
-    const margin = { top: 20, right: 20, bottom: 40, left: 50 };
+    const rotatable = PROJECTIONS[projectionName].rotatable;
+    const [[x0, y0], [x1, y1]] = plotExtent(mapMargin(projectionName));
+
+    // A focused country is put back after the rebuild (e.g. when finer borders load)
+    const hadFocus = svgRef.current.contains(document.activeElement);
 
     svg.selectAll('*').remove();
 
-    const defs = svg.append('defs');
-
-    // Glow filter
-    const glow = defs.append('filter')
-      .attr('id', 'glow')
-      .attr('x', '-50%')
-      .attr('y', '-50%')
-      .attr('width', '200%')
-      .attr('height', '200%');
-    glow.append('feGaussianBlur')
-      .attr('stdDeviation', '4')
-      .attr('result', 'coloredBlur');
-    const glowMerge = glow.append('feMerge');
-    glowMerge.append('feMergeNode').attr('in', 'coloredBlur');
-    glowMerge.append('feMergeNode').attr('in', 'SourceGraphic');
-
-    // Projection
-    const projection = d3.geoEquirectangular()
-      .scale((width - margin.left - margin.right) / (2 * Math.PI))
-      .translate([width / 2, height / 2]);
+    // Scroll/pinch zoom; d3 keeps its own copy of the transform, synced from state below
+    svg.call(d3.zoom()
+      .scaleExtent([1, MAX_ZOOM])
+      .extent([[0, 0], [MAP_WIDTH, MAP_HEIGHT]])
+      .translateExtent([[0, 0], [MAP_WIDTH, MAP_HEIGHT]])
+      // Double-click zooms in one step rather than animating when motion is reduced
+      .duration(window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 0 : 250)
+      .filter(event => rotatable
+        ? event.type === 'wheel' || event.touches?.length > 1
+        : (!event.ctrlKey || event.type === 'wheel') && !event.button)
+      .on('zoom', (event) => setZoomTransform(event.transform)));
 
-    const pathGenerator = d3.geoPath().projection(projection);
+    // Background (left out of a transparent embed)
+    if (!embed?.transparent) {
+      svg.append('rect')
+        .attr('class', 'map-background')
+        .attr('width', MAP_WIDTH)
+        .attr('height', MAP_HEIGHT);
+    }
 
-    // Background
-    svg.append('rect')
-      .attr('width', width)
-      .attr('height', height)
-      .attr('fill', '#0a0a12');
+    // Everything else is clipped to the plot area and zoomed as one group. Strokes keep
+    // their width at any zoom.
+    svg.append('clipPath')
+      .attr('id', 'map-plot-area')
+      .append('rect')
+      .attr('x', x0)
+      .attr('y', y0)
+      .attr('width', x1 - x0)
+      .attr('height', y1 - y0);
+    const view = svg.append('g')
+      .attr('clip-path', 'url(#map-plot-area)')
+      .append('g')
+      .attr('class', 'map-view');
 
     // Ocean
-    svg.append('rect')
-      .attr('x', margin.left)
-      .attr('y', margin.top)
-      .attr('width', width - margin.left - margin.right)
-      .attr('height', height - margin.top - margin.bottom)
-      .attr('fill', '#0d1b2a');
-
-    // Midnight line glow gradient
-    const midnightGlow = defs.append('linearGradient')
-      .attr('id', 'midnightGlow')
-      .attr('x1', '0%')
-      .attr('x2', '100%');
-    midnightGlow.append('stop')
-      .attr('offset', '0%')
-      .attr('stop-color', 'rgba(45, 212, 191, 0)');
-    midnightGlow.append('stop')
-      .attr('offset', '50%')
-      .attr('stop-color', 'rgba(45, 212, 191, 0.3)');
-    midnightGlow.append('stop')
-      .attr('offset', '100%')
-      .attr('stop-color', 'rgba(45, 212, 191, 0)');
-
-    // New year shading
-    const midnightX = projection([solarMidnightLon, 0])[0];
-    const greenwichX = projection([0, 0])[0];
-    const rightEdge = width - margin.right;
-    const leftEdge = margin.left;
-    
-    const newYearGradient = defs.append('linearGradient')
-      .attr('id', 'newYearGradient')
-      .attr('x1', '0%')
-      .attr('x2', '100%');
-    newYearGradient.append('stop')
-      .attr('offset', '0%')
-      .attr('stop-color', 'rgba(252, 211, 77, 0.2)');
-    newYearGradient.append('stop')
-      .attr('offset', '100%')
-      .attr('stop-color', 'rgba(251, 146, 60, 0.1)');
+    view.append('path')
+      .datum({ type: 'Sphere' })
+      .attr('class', 'ocean');
 
-    if (inTransition) {
-      // New year region: everything EAST of the midnight line
-      // The midnight line sweeps westward, so new year grows from east (180°) toward west
-      
-      if (solarMidnightLon >= 0) {
-        // Line is in eastern hemisphere (early in wave, e.g., 150°)
-        // New year: from midnightX to right edge (180°)
-        svg.append('rect')
-          .attr('x', midnightX)
-          .attr('y', margin.top)
-          .attr('width', rightEdge - midnightX)
-          .attr('height', height - margin.top - margin.bottom)
-          .attr('fill', 'url(#newYearGradient)')
-          .style('pointer-events', 'none');
-      } else {
-        // Line is in western hemisphere (e.g., -30°)
-        // New year: from midnightX to right edge (wraps around)
-        svg.append('rect')
-          .attr('x', midnightX)
-          .attr('y', margin.top)
-          .attr('width', rightEdge - midnightX)
-          .attr('height', height - margin.top - margin.bottom)
-          .attr('fill', 'url(#newYearGradient)')
-          .style('pointer-events', 'none');
-      }
-    } else if (transitionComplete) {
-      svg.append('rect')
-        .attr('x', leftEdge)
-        .attr('y', margin.top)
-        .attr('width', rightEdge - leftEdge)
-        .attr('height', height - margin.top - margin.bottom)
-        .attr('fill', 'url(#newYearGradient)')
-        .style('pointer-events', 'none');
+    // Globe / polar drag handling
+    if (rotatable) {
+      // Dragging takes over from "follow line", starting from the current view
+      let rotation;
+      svg.call(d3.drag()
+        .on('start', () => {
+          rotation = dragViewRef.current.rotation;
+        })
+        .on('drag', (event) => {
+          const k = 75 / dragViewRef.current.scale;
+          rotation = [
+            rotation[0] + event.dx * k,
+            Math.max(-90, Math.min(90, rotation[1] - event.dy * k)),
+          ];
+          setFollowLine(false);
+          setGlobeRotation(rotation);
+        }));
+    } else {
+      svg.on('.drag', null);
     }
 
     // Graticule
-    const graticule = d3.geoGraticule().step([30, 30]);
-    svg.append('path')
-      .datum(graticule())
-      .attr('d', pathGenerator)
+    view.append('path')
+      .attr('class', 'graticule')
       .attr('fill', 'none')
-      .attr('stroke', 'rgba(100, 116, 139, 0.15)')
-      .attr('stroke-width', 0.5);
+      .attr('stroke-width', 0.5)
+      .attr('vector-effect', 'non-scaling-stroke');
 
-    // Countries
-    svg.selectAll('.country')
-      .data(geoData.features)
+    // Countries, in wave order. One at a time is in the tab order (the focused one, else
+    // the first the wave reaches); arrow keys move along the wave from there.
+    const nameOf = (d) => d.properties?.name || 'Unknown';
+    const tabStop = waveOrder.find(d => nameOf(d) === focusedCountryRef.current) ?? waveOrder[0];
+    const countries = view.selectAll('.country')
+      .data(waveOrder)
       .enter()
       .append('path')
       .attr('class', 'country')
-      .attr('d', pathGenerator)
-      .attr('fill', d => {
-        const centroid = d3.geoCentroid(d);
-        if (centroid && isNewYear(centroid[0])) {
-          return '#2a2a1a';
-        }
-        return '#1b263b';
-      })
-      .attr('stroke', 'rgba(45, 212, 191, 0.3)')
       .attr('stroke-width', 0.5)
+      .attr('vector-effect', 'non-scaling-stroke')
+      .attr('role', 'button')
+      .attr('aria-label', nameOf)
+      .attr('aria-describedby', 'country-details')
+      .attr('tabindex', d => (d === tabStop ? 0 : -1))
       .style('cursor', 'pointer')
       .on('mouseenter', (event, d) => {
         // Only show on hover for non-touch devices
         if (window.matchMedia('(hover: hover)').matches) {
-          const centroid = d3.geoCentroid(d);
-          if (centroid) {
-            const solarMidnightTime = getSolarMidnightTime(centroid[0]);
-            setHoveredCountry({
-              name: d.properties?.name || 'Unknown',
-              longitude: centroid[0],
-              solarMidnightTime,
-              // Don't compute inNewYear here - it will be computed from current state when rendering
-            });
-          }
+          setHoveredCountry(selectCountry(d));
         }
-        d3.select(event.currentTarget)
-          .attr('stroke', '#2dd4bf')
-          .attr('stroke-width', 1.5);
       })
-      .on('mouseleave', (event) => {
+      .on('mouseleave', () => {
         // Only auto-hide on mouseleave for non-touch devices
         if (window.matchMedia('(hover: hover)').matches) {
           setHoveredCountry(null);
         }
-        d3.select(event.currentTarget)
-          .attr('stroke', 'rgba(45, 212, 191, 0.3)')
-          .attr('stroke-width', 0.5);
       })
       .on('click', (event, d) => {
-        // Toggle on click for touch devices
+        // Toggle on click for touch devices; the same country again closes it
         event.stopPropagation();
-        const centroid = d3.geoCentroid(d);
-        if (centroid) {
-          const solarMidnightTime = getSolarMidnightTime(centroid[0]);
-          const countryName = d.properties?.name || 'Unknown';
-          
-          // If same country clicked, close it
-          if (hoveredCountry?.name === countryName) {
-            setHoveredCountry(null);
-          } else {
-            setHoveredCountry({
-              name: countryName,
-              longitude: centroid[0],
-              solarMidnightTime,
-              // Don't compute inNewYear here - it will be computed from current state when rendering
-            });
-          }
+        const country = selectCountry(d);
+        if (country) {
+          setHoveredCountry(prev => (prev?.name === country.name ? null : country));
+        }
+      })
+      .on('focus', (event, d) => {
+        focusedCountryRef.current = nameOf(d);
+        countries.attr('tabindex', other => (other === d ? 0 : -1));
+        // Keyboard focus opens the tooltip; a click's own focus leaves it to the click
+        if (event.currentTarget.matches(':focus-visible')) {
+          setHoveredCountry(prev => (prev?.name === nameOf(d) ? prev : selectCountry(d)));
+        }
+      })
+      .on('keydown', (event, d) => {
+        // The wave runs westward, so left (or down) is the next country it reaches
+        const steps = { ArrowLeft: 1, ArrowDown: 1, ArrowRight: -1, ArrowUp: -1 };
+        const index = waveOrder.indexOf(d);
+        let next = null;
+        if (event.key in steps) {
+          next = waveOrder[(index + steps[event.key] + waveOrder.length) % waveOrder.length];
+        } else if (event.key === 'Home') {
+          next = waveOrder[0];
+        } else if (event.key === 'End') {
+          next = waveOrder[waveOrder.length - 1];
+        } else if (event.key === 'Enter' || event.key === ' ') {
+          const country = selectCountry(d);
+          setHoveredCountry(prev => (prev?.name === country?.name ? null : country));
+        } else if (event.key === 'Escape') {
+          setHoveredCountry(null);
+        } else {
+          return;
         }
+        event.preventDefault();
+        if (next) countries.filter(other => other === next).node().focus();
       });
 
+    if (hadFocus) {
+      countries.filter(d => d === tabStop).node()?.focus();
+    }
+  }, [mapData, projectionName, waveOrder, embed]);
+
+  // Base map shapes for the current rotation, and graticule lines as dense as the zoom needs
+  const { lonStep, latStep } = mapView;
+  useEffect(() => {
+    if (!mapData || !svgRef.current) return;
+    const svg = d3.select(svgRef.current);
+    const pathGenerator = d3.geoPath(baseProjection);
+    const graticule = d3.geoGraticule()
+      .step([lonStep / 2, latStep])
+      .precision(Math.min(2.5, latStep / 4));
+    svg.select('.ocean').attr('d', pathGenerator);
+    svg.select('.graticule').datum(graticule()).attr('d', pathGenerator);
+    svg.selectAll('.country').attr('d', pathGenerator);
+  }, [mapData, projectionName, waveOrder, embed, baseProjection, lonStep, latStep]);
+
+  // Base map zoom and pan, and d3's copy of the transform
+  useEffect(() => {
+    if (!mapData || !svgRef.current) return;
+    const svg = d3.select(svgRef.current);
+    svg.property('__zoom', zoomTransform);
+    svg.select('.map-view').attr('transform', zoomTransformAttr(projectionName, baseProjection, zoomTransform));
+  }, [mapData, projectionName, waveOrder, embed, baseProjection, zoomTransform]);
+
+  // Base map colours
+  useEffect(() => {
+    if (!mapData || !svgRef.current) return;
+    const svg = d3.select(svgRef.current);
+    svg.select('.map-background').attr('fill', palette.background);
+    // Only the outline in a transparent embed
+    svg.select('.ocean').attr('fill', embed?.transparent ? 'none' : palette.ocean);
+    svg.select('.graticule').attr('stroke', fade(palette.textDim, 0.15));
+    svg.selectAll('.country')
+      .attr('fill', palette.oldYear)
+      .attr('stroke', fade(palette.line, 0.3));
+  }, [mapData, projectionName, waveOrder, embed, palette]);
+
+  // Overlay (SVG, above the canvas): reference lines, the selected country, the YOU
+  // marker and axes. Nothing here moves with the clock.
+  useEffect(() => {
+    if (!mapData || !overlayRef.current) return;
+
+    const svg = d3.select(overlayRef.current);
+    const { projection, margin, lonExtent, latExtent, lonStep, latStep } = mapView;
+    const pathGenerator = d3.geoPath().projection(projection);
+
+    svg.selectAll('*').remove();
+
     // Equator
-    svg.append('line')
-      .attr('x1', margin.left)
-      .attr('x2', width - margin.right)
-      .attr('y1', height / 2)
-      .attr('y2', height / 2)
-      .attr('stroke', 'rgba(100, 116, 139, 0.4)')
+    svg.append('path')
+      .datum({ type: 'LineString', coordinates: [[-180, 0], [-90, 0], [0, 0], [90, 0], [180, 0]] })
+      .attr('d', pathGenerator)
+      .attr('fill', 'none')
+      .attr('stroke', fade(palette.textDim, 0.4))
       .attr('stroke-width', 1)
       .attr('stroke-dasharray', '5,5');
 
     // Prime meridian marker (Greenwich)
-    svg.append('line')
-      .attr('x1', greenwichX)
-      .attr('x2', greenwichX)
-      .attr('y1', margin.top)
-      .attr('y2', height - margin.bottom)
-      .attr('stroke', 'rgba(100, 116, 139, 0.25)')
+    svg.append('path')
+      .datum(meridian(0))
+      .attr('d', pathGenerator)
+      .attr('fill', 'none')
+      .attr('stroke', fade(palette.textDim, 0.25))
       .attr('stroke-width', 1)
       .attr('stroke-dasharray', '3,3');
 
-    // Midnight line (always visible)
-    svg.append('rect')
-      .attr('x', midnightX - 20)
-      .attr('y', margin.top)
-      .attr('width', 40)
-      .attr('height', height - margin.top - margin.bottom)
-      .attr('fill', 'url(#midnightGlow)')
-      .style('pointer-events', 'none');
-
-    svg.append('line')
-      .attr('x1', midnightX)
-      .attr('x2', midnightX)
-      .attr('y1', margin.top)
-      .attr('y2', height - margin.bottom)
-      .attr('stroke', '#2dd4bf')
-      .attr('stroke-width', 2)
-      .attr('filter', 'url(#glow)')
-      .style('pointer-events', 'none');
-
-    // User location marker
-    if (userLocation) {
-      const userX = projection([userLocation.longitude, userLocation.latitude])[0];
-      const userY = projection([userLocation.longitude, userLocation.latitude])[1];
+    // Outline of the hovered or tapped country
+    if (hoveredCountry) {
+      svg.append('path')
+        .datum(hoveredCountry.feature)
+        .attr('d', pathGenerator)
+        .attr('fill', 'none')
+        .attr('stroke', palette.line)
+        .attr('stroke-width', 1.5);
+    }
+
+    // User location marker, draggable to fine-tune the location
+    const userXY = userLocation && projectVisible(projection, [userLocation.longitude, userLocation.latitude]);
+    if (userXY) {
+      const [userX, userY] = userXY;
+      const marker = svg.append('g')
+        .attr('class', 'user-marker')
+        .attr('transform', `translate(${userX}, ${userY})`);
       
       // Pulsing circle
-      svg.append('circle')
-        .attr('cx', userX)
-        .attr('cy', userY)
+      marker.append('circle')
         .attr('r', 12)
-        .attr('fill', 'rgba(251, 146, 60, 0.3)')
+        .attr('fill', fade(palette.marker, 0.3))
         .attr('class', 'user-pulse');
       
       // Inner circle
-      svg.append('circle')
-        .attr('cx', userX)
-        .attr('cy', userY)
+      marker.append('circle')
         .attr('r', 6)
-        .attr('fill', '#fb923c')
-        .attr('stroke', '#fff')
+        .attr('fill', palette.marker)
+        .attr('stroke', palette.text)
         .attr('stroke-width', 2);
       
       // Label
-      svg.append('text')
-        .attr('x', userX)
-        .attr('y', userY - 16)
+      marker.append('text')
+        .attr('y', -16)
         .attr('text-anchor', 'middle')
-        .attr('fill', '#fb923c')
+        .attr('fill', palette.marker)
         .attr('font-family', '"JetBrains Mono", monospace')
         .attr('font-size', '10px')
         .attr('font-weight', 'bold')
-        .text('YOU');
+        .text(t('map.you'));
+
+      // Move the marker while dragging and only set the location on release, so the
+      // overlay is not rebuilt mid-gesture. Drops off the map snap back.
+      marker.call(d3.drag()
+        .subject(() => ({ x: userX, y: userY }))
+        .on('drag', (e) => marker.attr('transform', `translate(${e.x}, ${e.y})`))
+        .on('end', (e) => {
+          const lonLat = projection.invert([e.x, e.y]);
+          const onMap = lonLat && Number.isFinite(lonLat[0]) && Number.isFinite(lonLat[1])
+            && projectVisible(projection, lonLat);
+          if (!onMap) {
+            marker.attr('transform', `translate(${userX}, ${userY})`);
+            return;
+          }
+          const longitude = ((lonLat[0] + 540) % 360) - 180;
+          const latitude = Math.max(-90, Math.min(90, lonLat[1]));
+          setUserLocation({ latitude, longitude });
+        }));
+    }
+
+    // Pinned places: a dot per pin, gold once it has arrived, with its label
+    pins.forEach((pin, i) => {
+      const pinXY = projectVisible(projection, [pin.longitude, pin.latitude]);
+      if (!pinXY) return;
+      const arrived = pinArrivals[i] === '1';
+      const pinMarker = svg.append('g')
+        .attr('class', 'pin-marker')
+        .attr('transform', `translate(${pinXY[0]}, ${pinXY[1]})`);
+      pinMarker.append('circle')
+        .attr('r', 4)
+        .attr('fill', arrived ? palette.newYear : palette.muted)
+        .attr('stroke', palette.background)
+        .attr('stroke-width', 1.5);
+      pinMarker.append('text')
+        .attr('x', 7)
+        .attr('y', 3)
+        .attr('fill', arrived ? palette.newYear : palette.text)
+        .attr('font-family', '"JetBrains Mono", monospace')
+        .attr('font-size', '9px')
+        .attr('paint-order', 'stroke')
+        .attr('stroke', fade(palette.background, 0.8))
+        .attr('stroke-width', 3)
+        .text(pin.label);
+    });
+
+    // Axes (only meaningful on the equirectangular map, where lon/lat are linear),
+    // labelled for the visible extent
+    if (PROJECTIONS[projectionName].axes) {
+      const lonScale = d3.scaleLinear()
+        .domain(lonExtent)
+        .range([margin.left, MAP_WIDTH - margin.right]);
+
+      const latScale = d3.scaleLinear()
+        .domain([latExtent[1], latExtent[0]])
+        .range([margin.top, MAP_HEIGHT - margin.bottom]);
+
+      const lonTicks = degreeTicks(Math.max(-180, lonExtent[0]), Math.min(180, lonExtent[1]), lonStep);
+      const latTicks = degreeTicks(Math.max(-90, latExtent[0]), Math.min(90, latExtent[1]), latStep)
+        .filter(d => Math.abs(d) < 90);
+
+      svg.append('g')
+        .attr('transform', `translate(0, ${MAP_HEIGHT - margin.bottom + 5})`)
+        .call(d3.axisBottom(lonScale)
+          .tickValues(lonTicks)
+          .tickFormat(d => formatDegrees(d, lonStep)))
+        .attr('color', palette.textDim)
+        .attr('font-family', '"JetBrains Mono", monospace')
+        .attr('font-size', '10px');
+
+      svg.append('g')
+        .attr('transform', `translate(${margin.left - 5}, 0)`)
+        .call(d3.axisLeft(latScale)
+          .tickValues(latTicks)
+          .tickFormat(d => formatDegrees(d, latStep)))
+        .attr('color', palette.textDim)
+        .attr('font-family', '"JetBrains Mono", monospace')
+        .attr('font-size', '10px');
+    }
+  }, [mapData, mapView, projectionName, hoveredCountry, userLocation, pins, pinArrivals, t, palette]);
+
+  // Match the canvas backing store to its on-screen size so lines stay sharp
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const observer = new ResizeObserver(() => {
+      const scale = (canvas.clientWidth / MAP_WIDTH) * (window.devicePixelRatio || 1);
+      // Quarter steps avoid re-rendering on every pixel of a window resize
+      setCanvasScale(Math.max(1, Math.ceil(scale * 4) / 4));
+    });
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, [mapData]);
+
+  // Countries in their new year colours, pre-rendered for the canvas to clip each frame
+  const newYearFills = useMemo(() => {
+    if (!mapData) return null;
+    return renderNewYearFills(mapData.features, mapView.projection, {
+      width: MAP_WIDTH,
+      height: MAP_HEIGHT,
+      scale: canvasScale,
+      palette,
+    });
+  }, [mapData, mapView, canvasScale, palette]);
+
+  // Moving layers (canvas): redrawn from animation frames using the clock's instant
+  // between ticks, so the line glides instead of jumping once a second
+  const { readTime, playing } = clock;
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const context = canvas?.getContext('2d');
+    if (!context) return;
+
+    const pixelWidth = Math.round(MAP_WIDTH * canvasScale);
+    const pixelHeight = Math.round(MAP_HEIGHT * canvasScale);
+    if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+      canvas.width = pixelWidth;
+      canvas.height = pixelHeight;
     }
+    context.setTransform(canvasScale, 0, 0, canvasScale, 0, 0);
 
-    // Axes
-    const lonScale = d3.scaleLinear()
-      .domain([-180, 180])
-      .range([margin.left, width - margin.right]);
-
-    const latScale = d3.scaleLinear()
-      .domain([90, -90])
-      .range([margin.top, height - margin.bottom]);
-
-    svg.append('g')
-      .attr('transform', `translate(0, ${height - margin.bottom + 5})`)
-      .call(d3.axisBottom(lonScale)
-        .tickValues([-180, -120, -60, 0, 60, 120, 180])
-        .tickFormat(d => `${d}°`))
-      .attr('color', '#64748b')
-      .attr('font-family', '"JetBrains Mono", monospace')
-      .attr('font-size', '10px');
-
-    svg.append('g')
-      .attr('transform', `translate(${margin.left - 5}, 0)`)
-      .call(d3.axisLeft(latScale)
-        .tickValues([-60, -30, 0, 30, 60])
-        .tickFormat(d => `${d}°`))
-      .attr('color', '#64748b')
-      .attr('font-family', '"JetBrains Mono", monospace')
-      .attr('font-size', '10px');
-
-  }, [geoData, currentTime, solarMidnightLon, isNewYear, inTransition, transitionComplete, userLocation, getSolarMidnightTime]);
+    const draw = (instant) => drawWaveLayers(context, {
+      projection: mapView.projection,
+      width: MAP_WIDTH,
+      height: MAP_HEIGHT,
+      instant,
+      target,
+      mode: solarMode,
+      newYearFills,
+      civilRegion: showCivilLayer ? civilRegion : null,
+      showDayNight,
+      palette,
+    });
+
+    // Nothing moves while paused, so one frame is enough
+    if (!playing) {
+      draw(readTime());
+      return;
+    }
+
+    // The line covers 15°/hour, well under a pixel per second in real time, so only
+    // redraw once it has moved far enough to see, or when a new year that begins at
+    // one instant arrives
+    const pixelsPerDegree = (mapView.projection.scale() * Math.PI) / 180;
+    let drawnLon = null;
+    let drawnArrived = null;
+    let frame;
+    const onFrame = () => {
+      const instant = readTime();
+      const lon = midnightLongitude(instant, solarMode);
+      const arrived = Boolean(target.at) && instant >= target.at;
+      if (drawnLon === null || arrived !== drawnArrived
+        || Math.abs(lon - drawnLon) * pixelsPerDegree >= MIN_REDRAW_SHIFT) {
+        draw(instant);
+        drawnLon = lon;
+        drawnArrived = arrived;
+      }
+      frame = requestAnimationFrame(onFrame);
+    };
+    onFrame();
+    return () => cancelAnimationFrame(frame);
+  }, [mapView, canvasScale, newYearFills, target, solarMode, showCivilLayer, civilRegion, showDayNight, palette, readTime, playing]);
 
   // Format time for display
   const formatTime = (dt) => {
@@ -602,29 +1264,174 @@ export default function App() {
     return `${Math.abs(lon).toFixed(2)}° ${dir}`;
   };
 
-  // Generate stars
-  const stars = useMemo(() => {
-    return [...Array(150)].map((_, i) => ({
-      id: i,
-      left: `${Math.random() * 100}%`,
-      top: `${Math.random() * 100}%`,
-      size: `${Math.random() * 2 + 1}px`,
-      delay: `${Math.random() * 3}s`,
-      duration: `${Math.random() * 2 + 2}s`,
-    }));
-  }, []);
+  // Exports: files are named after the wave, e.g. "2027-new-year-wave"
+  const exportName = labels.file.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+  // Calendar file of your solar midnight, with reminders
+  const addUserToCalendar = () => downloadArrival(exportName, arrivalEvent({
+    place: userLocation.name ?? t('location.yours'),
+    latitude: userLocation.latitude,
+    longitude: userLocation.longitude,
+    timeZone: userZone,
+    arrival: userSolarMidnight,
+  }, labels, i18n));
+
+  // The map as currently shown, with the legend as listed below it, for ExportPanel
+  const getExportFrame = () => {
+    const instant = readTime();
+    const legend = [
+      { label: labels.before, color: palette.oldYear },
+      { label: t('legend.midnight'), color: palette.line },
+      { label: labels.after, color: palette.newYear },
+      ...(showDayNight ? [{ label: t('legend.night'), color: palette.textDim }] : []),
+      ...(showCivilLayer ? [{ label: t('legend.civil'), color: palette.civil }] : []),
+    ];
+    return {
+      view: {
+        features: mapData.features,
+        projection: mapView.projection,
+        width: MAP_WIDTH,
+        height: MAP_HEIGHT,
+        target,
+        mode: solarMode,
+        civilRegion: showCivilLayer ? civilRegion : null,
+        showDayNight,
+        palette,
+      },
+      layers: { base: svgRef.current, overlay: overlayRef.current },
+      instant,
+      title: labels.title,
+      time: formatTime(instant.toUTC()),
+      legend,
+    };
+  };
+
+  // Timelapses cover the wave with an hour either side, or half a day either side of
+  // a new year that begins at one instant
+  const timelapse = {
+    start: target.at ? target.at.minus({ hours: 12 }) : transitionWindow.start.minus({ hours: 1 }),
+    end: target.at ? target.at.plus({ hours: 12 }) : transitionWindow.end.plus({ hours: 1 }),
+    formatTime: (instant) => formatTime(instant.toUTC()),
+  };
 
   const handleRetry = () => {
     setError(null);
     setLoading(true);
-    window.location.reload();
+    setLoadAttempt(n => n + 1);
   };
 
+  // Tooltip body shared by the desktop overlay and the mobile panel
+  const countryDetails = hoveredCountry && (
+    <>
+      <div className="tooltip-title">{hoveredCountry.name}</div>
+      <div className="tooltip-info">
+        {labels.arrival} {labels.name}:
+        <span className="tooltip-time">
+          {i18n.formatDateTime(hoveredMidnight.toLocal())}
+        </span>
+      </div>
+      {hoveredCivil && (
+        <div className="tooltip-info tooltip-civil">
+          {t('tooltip.civil', { zone: hoveredCivil.zone })}
+          <span className="tooltip-time">
+            {i18n.formatDateTime(hoveredCivil.midnight.toLocal())}
+          </span>
+          <span className="tooltip-offset">{formatMidnightOffset(hoveredCivil.offsetMinutes, i18n)}</span>
+        </div>
+      )}
+      <div className={`tooltip-status ${hoveredStatus.className}`}>
+        {hoveredStatus.text}
+      </div>
+    </>
+  );
+
+  // Countdown to the wave starting (only before transition)
+  const countdownSection = countdown && (
+    <div className="countdown-section">
+      <div className="countdown-label">{t(target.at ? 'countdown.yearBegins' : 'countdown.waveStarts')}</div>
+      <div className="countdown-value">{countdownDisplay}</div>
+    </div>
+  );
+
+  // The map with its desktop tooltip
+  const globe = (
+    <div className="globe-container">
+      <div className="map-stack">
+        <svg
+          ref={svgRef}
+          className="map-base"
+          viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+          role="group"
+          aria-label={t('map.label', { wave: labels.wave })}
+          aria-describedby="map-keys"
+          onClick={(e) => {
+            // Dismiss tooltip when clicking on svg background (not a country)
+            if (e.target.tagName === 'svg' || e.target.tagName === 'rect' || e.target.classList.contains('ocean')) {
+              setHoveredCountry(null);
+            }
+          }}
+        />
+        <canvas ref={canvasRef} className="map-layer" aria-hidden="true" />
+        <svg
+          ref={overlayRef}
+          className="map-layer"
+          viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+          aria-hidden="true"
+        />
+      </div>
+      <p id="map-keys" className="sr-only">{t('map.keys')}</p>
+      {/* Desktop tooltip - overlays map */}
+      {hoveredCountry && (
+        <div id="country-details" className="country-tooltip desktop-only">
+          {countryDetails}
+        </div>
+      )}
+    </div>
+  );
+
+  // Status bar: local time, what the line is crossing and how far it has come
+  const statusBar = (
+    <div className="status-bar">
+      <div className="local-time">
+        <span className="time-value">{i18n.formatClock(localTime)}</span>
+        <span className="time-label">{i18n.formatWeekday(localTime)}</span>
+        {!clock.live && <span className="simulated-badge">{t('status.simulated')}</span>}
+      </div>
+      <div className="status-info">
+        <span className="status-text">{status}</span>
+        <span className="sr-only" role="status">{announcement}</span>
+        {onTheLine?.cities.length > 0 && (
+          <span className="status-cities">
+            {t('status.midnightIn', {
+              arrival: labels.arrival,
+              places: i18n.formatList(onTheLine.cities.slice(0, 3).map(city => city.name)),
+            })}
+          </span>
+        )}
+        {inTransition && (
+          <span className="coverage-text">
+            {peopleShare === null
+              ? t('status.complete', { percent: i18n.formatNumber(Math.round(coverage)) })
+              : t('status.people', { percent: i18n.formatNumber(Math.round(peopleShare)) })}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+
   if (loading) {
     return (
       <div className="loading-container">
         <div className="loading-spinner" />
-        <div className="loading-text">Loading map data...</div>
+        <div className="loading-text">{t('app.loading')}</div>
+        {retryInfo && (
+          <div className="loading-retry">
+            {t('app.retrying', {
+              seconds: i18n.formatNumber(retryInfo.seconds),
+              attempt: i18n.formatNumber(retryInfo.attempt + 1),
+            })}
+          </div>
+        )}
       </div>
     );
   }
@@ -632,18 +1439,35 @@ export default function App() {
   if (error) {
     return (
       <div className="error-container">
-        <div className="error-text">Failed to load map: {error}</div>
+        <div className="error-text">{t('app.loadFailed', { error })}</div>
         <button className="retry-button" onClick={handleRetry}>
-          Try Again
+          {t('app.tryAgain')}
         </button>
       </div>
     );
   }
 
+  // Embedded widget: the chosen panels fill the frame. Once the wave has started, the
+  // countdown panel shows the status instead.
+  if (embed) {
+    return (
+      <div className={`container embed ${embed.transparent ? 'transparent' : ''}`}>
+        {embed.panels.includes('countdown') && (countdownSection || (
+          <div className="countdown-section">
+            <div className="countdown-label">{labels.wave}</div>
+            <div className="countdown-value">{status}</div>
+          </div>
+        ))}
+        {embed.panels.includes('map') && globe}
+        {embed.panels.includes('status') && statusBar}
+      </div>
+    );
+  }
+
   return (
     <div className="container">
       <div className="starfield" aria-hidden="true">
-        {stars.map(star => (
+        {STARS.map(star => (
           <div
             key={star.id}
             className="star"
@@ -661,53 +1485,27 @@ export default function App() {
 
       <div className="content">
         <header className="header">
-          <h1 className="title">New Year Wave</h1>
+          <label className="map-option-select language-select">
+            <span className="sr-only">{t('app.language')}</span>
+            <select value={locale} onChange={(e) => i18n.setLocale(e.target.value)}>
+              {Object.entries(LOCALES).map(([code, { label }]) => (
+                <option key={code} value={code} lang={code}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <h1 className="title">{labels.title}</h1>
           <p className="subtitle">
             {inTransition || transitionComplete 
-              ? `${displayYear} Sweeping the Globe`
-              : `Tracking ${displayYear}'s Arrival`
+              ? t('header.sweeping', { name: labels.name })
+              : t('header.tracking', { name: labels.name })
             }
           </p>
         </header>
 
-        {/* Countdown (only before transition) */}
-        {countdown && (
-          <div className="countdown-section">
-            <div className="countdown-label">Wave Starts In</div>
-            <div className="countdown-value">{countdownDisplay}</div>
-          </div>
-        )}
+        {countdownSection}
 
         <div className="globe-wrapper">
-          <div className="globe-container">
-            <svg
-              ref={svgRef}
-              viewBox="0 0 900 500"
-              role="img"
-              aria-label={`World map showing the progress of the ${displayYear} new year wave`}
-              onClick={(e) => {
-                // Dismiss tooltip when clicking on svg background (not a country)
-                if (e.target.tagName === 'svg' || e.target.tagName === 'rect') {
-                  setHoveredCountry(null);
-                }
-              }}
-            />
-            {/* Desktop tooltip - overlays map */}
-            {hoveredCountry && (
-              <div className="country-tooltip desktop-only">
-                <div className="tooltip-title">{hoveredCountry.name}</div>
-                <div className="tooltip-info">
-                  Solar midnight {displayYear}:
-                  <span className="tooltip-time">
-                    {hoveredCountry.solarMidnightTime.toLocal().toFormat('MMM d, HH:mm')}
-                  </span>
-                </div>
-                <div className={`tooltip-status ${isNewYear(hoveredCountry.longitude) ? 'new-year' : 'old-year'}`}>
-                  {isNewYear(hoveredCountry.longitude) ? `✓ In ${displayYear}` : `Waiting for ${displayYear}`}
-                </div>
-              </div>
-            )}
-          </div>
+          {globe}
           
           {/* Mobile tooltip - below map with reserved space */}
           <div className="mobile-tooltip-container mobile-only">
@@ -716,42 +1514,37 @@ export default function App() {
                 <button 
                   className="tooltip-close" 
                   onClick={() => setHoveredCountry(null)}
-                  aria-label="Close"
+                  aria-label={t('tooltip.close')}
                 >
                   ×
                 </button>
-                <div className="tooltip-title">{hoveredCountry.name}</div>
-                <div className="tooltip-info">
-                  Solar midnight {displayYear}:
-                  <span className="tooltip-time">
-                    {hoveredCountry.solarMidnightTime.toLocal().toFormat('MMM d, HH:mm')}
-                  </span>
-                </div>
-                <div className={`tooltip-status ${isNewYear(hoveredCountry.longitude) ? 'new-year' : 'old-year'}`}>
-                  {isNewYear(hoveredCountry.longitude) ? `✓ In ${displayYear}` : `Waiting for ${displayYear}`}
-                </div>
+                {countryDetails}
               </div>
             ) : (
               <div className="tooltip-placeholder">
-                Tap a country to see its solar midnight time
+                {t('tooltip.placeholder')}
               </div>
             )}
           </div>
         </div>
 
-        {/* Status bar */}
-        <div className="status-bar">
-          <div className="local-time">
-            <span className="time-value">{localTime.toFormat('HH:mm:ss')}</span>
-            <span className="time-label">{localTime.toFormat('cccc, MMM d')}</span>
-          </div>
-          <div className="status-info">
-            <span className="status-text">{status}</span>
-            {inTransition && (
-              <span className="coverage-text">{coverage.toFixed(0)}% complete</span>
-            )}
-          </div>
-        </div>
+        <TimeControls clock={clock} rangeStart={scrubStart} rangeEnd={scrubEnd} />
+
+        <EventPicker event={event} date={targetDate} onChange={setEvent} />
+
+        {statusBar}
+
+        <UpNext places={upNext} currentTime={currentTime} />
+
+        {population && crossedPeople && (
+          <PopulationPanel
+            population={population}
+            crossed={crossedPeople}
+            series={crossingChart}
+            currentTime={currentTime}
+            labels={labels}
+          />
+        )}
 
         {/* User location section */}
         <div className="your-location-section">
@@ -765,7 +1558,7 @@ export default function App() {
                 <circle cx="12" cy="12" r="3" />
                 <path d="M12 2v4M12 18v4M2 12h4M18 12h4" />
               </svg>
-              {locationLoading ? 'Finding you...' : 'Find My Location'}
+              {locationLoading ? t('location.finding') : t('location.find')}
             </button>
           ) : (
             <div className="your-location-card">
@@ -774,68 +1567,233 @@ export default function App() {
                   <circle cx="12" cy="12" r="3" />
                   <path d="M12 2v4M12 18v4M2 12h4M18 12h4" />
                 </svg>
-                <span>Your Location</span>
-              </div>
-              <div className="your-location-coords">
-                {Math.abs(userLocation.latitude).toFixed(2)}°{userLocation.latitude >= 0 ? 'N' : 'S'},{' '}
-                {Math.abs(userLocation.longitude).toFixed(2)}°{userLocation.longitude >= 0 ? 'E' : 'W'}
+                <span>{[userLocation.name, userLocation.country].filter(Boolean).join(', ') || t('location.yours')}</span>
               </div>
+              <div className="your-location-coords">{formatCoordinates(userLocation)}</div>
               {userSolarMidnight && (
                 <div className="your-location-midnight">
-                  <span className="midnight-label">Your solar midnight {displayYear}:</span>
+                  <span className="midnight-label">
+                    {t('location.arrivalForYou', { arrival: labels.arrival, name: labels.name })}
+                  </span>
                   <span className="midnight-time">
-                    {userSolarMidnight.toFormat('MMM d, HH:mm')} UTC
+                    {t('time.utc', { time: i18n.formatDateTime(userSolarMidnight) })}
                   </span>
                   <span className="midnight-local">
-                    ({userSolarMidnight.toLocal().toFormat('HH:mm')} your time)
+                    {t('location.localTime', { time: i18n.formatTime(userSolarMidnight.setZone(userZone ?? 'local')) })}
                   </span>
                 </div>
               )}
               <div className={`your-location-status ${userInNewYear ? 'in-new-year' : ''}`}>
                 {userInNewYear 
-                  ? `🎉 You're in ${displayYear}!` 
-                  : `⏳ Waiting for ${displayYear}...`
+                  ? `🎉 ${labels.reached}`
+                  : t('location.waiting', { name: labels.name })
                 }
               </div>
+              <button className="map-option pin-button" onClick={() => pinLocation(userLocation)} disabled={isPinned}>
+                {isPinned ? t('location.pinned') : t('location.pin')}
+              </button>
+              <button className="map-option pin-button calendar-button" onClick={addUserToCalendar}>
+                {t('ics.add')}
+              </button>
             </div>
           )}
+          <LocationSearch
+            onSelect={(location) => {
+              setUserLocation(location);
+              setLocationError(null);
+            }}
+            onPin={pinLocation}
+            isPinned={isPinnedAt}
+          />
+          {userLocation && (
+            <div className="location-hint">{t('location.dragHint')}</div>
+          )}
           {locationError && (
-            <div className="location-error">{locationError}</div>
+            <div className="location-error">{t(locationError)}</div>
           )}
         </div>
 
+        <AlertSettings alerts={alerts} live={clock.live} placeCount={alertPlaces.length} />
+
+        <PinnedLocations
+          pins={pins}
+          currentTime={currentTime}
+          labels={labels}
+          getArrival={getSolarMidnightTime}
+          hasArrivedAt={isNewYear}
+          fileName={exportName}
+          onRename={renamePin}
+          onRemove={removePin}
+          onMove={movePin}
+        />
+
+        <div className="map-options">
+          <label className="map-option-select">
+            <span>{t('options.projection')}</span>
+            <select
+              value={projectionName}
+              onChange={(e) => {
+                setProjectionName(e.target.value);
+                setZoomTransform(d3.zoomIdentity);
+              }}
+            >
+              {Object.keys(PROJECTIONS).map(name => (
+                <option key={name} value={name}>{t(`projection.${name}`)}</option>
+              ))}
+            </select>
+          </label>
+          {zoomTransform.k > 1 && (
+            <button
+              className="map-option"
+              onClick={() => setZoomTransform(d3.zoomIdentity)}
+            >
+              {t('options.resetZoom', {
+                zoom: i18n.formatNumber(zoomTransform.k, { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+              })}
+            </button>
+          )}
+          {PROJECTIONS[projectionName].rotatable && (
+            <button
+              className={`map-option ${followLine ? 'active' : ''}`}
+              onClick={() => setFollowLine(v => !v)}
+              aria-pressed={followLine}
+              title={t('options.followLineHint')}
+            >
+              {t('options.followLine')}
+            </button>
+          )}
+          <div className="map-option-group" role="group" aria-label={t('options.solarTime')}>
+            {SOLAR_MODES.map(mode => (
+              <button
+                key={mode}
+                className={`map-option ${solarMode === mode ? 'active' : ''}`}
+                onClick={() => setSolarMode(mode)}
+                aria-pressed={solarMode === mode}
+              >
+                {t(mode === 'mean' ? 'options.mean' : 'options.apparent')}
+              </button>
+            ))}
+          </div>
+          <button
+            className={`map-option ${showDayNight ? 'active' : ''}`}
+            onClick={() => setShowDayNight(v => !v)}
+            aria-pressed={showDayNight}
+          >
+            {t('options.dayNight')}
+          </button>
+          <button
+            className={`map-option ${showCivilLayer ? 'active' : ''}`}
+            onClick={() => setShowCivilLayer(v => !v)}
+            aria-pressed={showCivilLayer}
+          >
+            {t('options.civil')}
+          </button>
+        </div>
+
         <div className="legend">
           <div className="legend-item">
             <div className="legend-color old-year" />
-            <span>{previousYear}</span>
+            <span>{labels.before}</span>
           </div>
           <div className="legend-item">
             <div className="legend-color midnight-line" />
-            <span>Solar Midnight</span>
+            <span>{t('legend.midnight')}</span>
           </div>
           <div className="legend-item">
             <div className="legend-color new-year" />
-            <span>{displayYear}</span>
+            <span>{labels.after}</span>
           </div>
+          {showDayNight && (
+            <>
+              <div className="legend-item">
+                <div className="legend-color night" />
+                <span>{t('legend.night')}</span>
+              </div>
+              <div className="legend-item">
+                <div className="legend-color subsolar" />
+                <span>{t('legend.sun')}</span>
+              </div>
+            </>
+          )}
+          {showCivilLayer && (
+            <div className="legend-item">
+              <div className="legend-color civil-midnight" />
+              <span>{t('legend.civil')}</span>
+            </div>
+          )}
         </div>
 
+        <ThemePicker theme={theme} labels={labels} />
+
+        {mapData && (
+          <ExportPanel
+            getFrame={getExportFrame}
+            timelapse={timelapse}
+            fileName={exportName}
+            mapSize={{ width: MAP_WIDTH, height: MAP_HEIGHT }}
+          />
+        )}
+
+        {geoData && (
+          <CountryTimeline
+            features={geoData.features}
+            currentTime={currentTime}
+            getArrival={getSolarMidnightTime}
+            getCrossedShare={getCrossedShare}
+            labels={labels}
+            selected={hoveredCountry?.name}
+            onSelect={(feature) => {
+              const country = selectCountry(feature);
+              setHoveredCountry(prev => (prev?.name === country?.name ? null : country));
+            }}
+            fileName={exportName}
+          />
+        )}
+
         <div className="explanation">
-          <p>
-            This shows the <strong>astronomical new year</strong> — when local{' '}
-            <em>solar midnight</em> (sun at its lowest point) crosses into January 1st.
-            The wave begins at the Date Line (180°) and travels{' '}
-            <strong>westward at ~1,670 km/h</strong>, taking 24 hours to circle the globe.
+          {event.calendar && (
+            <p>
+              {target.at
+                ? i18n.rich('explain.calendarInstant', {
+                  name: labels.name,
+                  rule: t(`calendar.${event.calendar}.rule`),
+                  year: labels.after,
+                  time: i18n.formatLongDateTime(target.at.toLocal()),
+                })
+                : i18n.rich('explain.calendarDate', {
+                  name: labels.name,
+                  rule: t(`calendar.${event.calendar}.rule`),
+                  year: labels.after,
+                  date: i18n.formatDate(targetDate),
+                })}
+            </p>
+          )}
+          {!target.at && (
+            <p>
+              {isAnyNewYear(event) || event.calendar
+                ? i18n.rich('explain.newYear', { date: i18n.formatMonthDay(targetDate) })
+                : i18n.rich('explain.event', { name: event.name, date: i18n.formatMonthDay(targetDate) })}
+            </p>
+          )}
+          {showDayNight && (
+            <p>{t('explain.twilight')}</p>
+          )}
+          <p className="eot-note">
+            {i18n.rich(eotMinutes < 0 ? 'explain.eotBehind' : 'explain.eotAhead', {
+              showing: t(solarMode === 'apparent' ? 'explain.showingApparent' : 'explain.showingMean'),
+              minutes: i18n.formatNumber(Math.abs(eotMinutes), { minimumFractionDigits: 1, maximumFractionDigits: 1 }),
+            })}
           </p>
           <p className="timezone-note">
-            Looking for timezone-based midnight instead?{' '}
+            {t('explain.timezone')}{' '}
             <a href={TIMEZONE_MAP_URL} target="_blank" rel="noopener noreferrer">
-              View the timezone new year map →
+              {t('explain.timezoneLink')}
             </a>
           </p>
         </div>
 
         <div className="share-section">
-          <div className="share-label">Share with friends</div>
+          <div className="share-label">{t('share.label')}</div>
           <div className="share-buttons">
             <button 
               className={`share-button ${copied ? 'copied' : ''}`}
@@ -846,7 +1804,7 @@ export default function App() {
                 <polyline points="16 6 12 2 8 6" />
                 <line x1="12" y1="2" x2="12" y2="15" />
               </svg>
-              {copied ? 'Copied!' : 'Share'}
+              {copied ? t('share.copied') : t('share.share')}
             </button>
             <a 
               className="share-button"
@@ -857,20 +1815,20 @@ export default function App() {
               <svg viewBox="0 0 24 24">
                 <path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/>
               </svg>
-              Post
+              {t('share.post')}
             </a>
           </div>
         </div>
 
         <footer className="footer">
           <div>
-            Real-time solar midnight visualization
+            {t('footer.tagline')}
             <span className="footer-divider">•</span>
             <a href="https://github.com/nx10/new-year-wave" target="_blank" rel="noopener noreferrer">
               GitHub
             </a>
             <span className="footer-divider">•</span>
-            Made by <a href="https://github.com/nx10" target="_blank" rel="noopener noreferrer">nx10</a>
+            {t('footer.madeBy')} <a href="https://github.com/nx10" target="_blank" rel="noopener noreferrer">nx10</a>
           </div>
         </footer>
       </div>
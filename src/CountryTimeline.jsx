@@ -0,0 +1,251 @@
+import { useMemo, useState } from 'react';
+import * as d3 from 'd3';
+import { zoneAt } from './civilTime';
+import { crossingSpan } from './crossings';
+import { downloadBlob } from './download';
+import { arrivalEvent, downloadArrival, downloadIcs } from './ics';
+import { useI18n } from './i18n';
+
+const STATUS_ORDER = { arrived: 0, crossing: 1, waiting: 2 };
+
+// Sortable columns: header message and the value rows are ordered by
+const COLUMNS = [
+  { key: 'name', label: 'timeline.country', value: row => row.name },
+  { key: 'midnight', label: 'timeline.midnight', value: row => row.midnight.toMillis() },
+  { key: 'local', label: 'timeline.local', value: row => row.local.toFormat('yyyy-MM-dd HH:mm') },
+  { key: 'first', label: 'timeline.first', value: row => row.first.time.toMillis() },
+  { key: 'last', label: 'timeline.last', value: row => row.last.time.toMillis() },
+  { key: 'status', label: 'timeline.status', value: row => STATUS_ORDER[row.status] * 2 - row.share },
+  { key: 'remaining', label: 'timeline.remaining', value: row => row.midnight.toMillis() },
+];
+
+const formatLongitude = (lon) => `${Math.abs(lon).toFixed(1)}°${lon < 0 ? 'W' : 'E'}`;
+
+// Static part of a row: where and when the wave crosses a country
+const timelineRow = (feature, getArrival) => {
+  const [longitude, latitude] = d3.geoCentroid(feature);
+  const { first: firstLon, last: lastLon } = crossingSpan(feature);
+  const zone = zoneAt(latitude, longitude);
+  const midnight = getArrival(longitude);
+  return {
+    feature,
+    name: feature.properties?.name || 'Unknown',
+    longitude,
+    latitude,
+    zone,
+    midnight,
+    local: zone ? midnight.setZone(zone) : midnight,
+    first: { longitude: firstLon, time: getArrival(firstLon) },
+    last: { longitude: lastLon, time: getArrival(lastLon) },
+  };
+};
+
+const isoSeconds = (dt) => dt.startOf('second').toISO({ suppressMilliseconds: true });
+
+// Plain record of a row for the CSV/JSON exports
+const exportRecord = (row, currentTime) => ({
+  country: row.name,
+  latitude: +row.latitude.toFixed(3),
+  longitude: +row.longitude.toFixed(3),
+  timeZone: row.zone,
+  solarMidnightUtc: isoSeconds(row.midnight.toUTC()),
+  solarMidnightLocal: isoSeconds(row.local),
+  firstCrossingLongitude: +row.first.longitude.toFixed(3),
+  firstCrossingUtc: isoSeconds(row.first.time.toUTC()),
+  lastCrossingLongitude: +row.last.longitude.toFixed(3),
+  lastCrossingUtc: isoSeconds(row.last.time.toUTC()),
+  status: row.status,
+  crossedPercent: Math.round(row.share * 100),
+  secondsRemaining: Math.max(0, Math.round(row.midnight.diff(currentTime).as('seconds'))),
+});
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (records) => {
+  const header = Object.keys(records[0]);
+  return [header, ...records.map(record => header.map(key => record[key]))]
+    .map(fields => fields.map(csvField).join(','))
+    .join('\n');
+};
+
+// Every country's crossing: solar midnight at its centroid in UTC and local time,
+// when the wave enters and leaves it, and where it stands now. Rows can be sorted,
+// filtered and exported (CSV, JSON or a calendar of every shown country); choosing one
+// selects the country on the map.
+export default function CountryTimeline({
+  features,
+  currentTime,
+  getArrival,
+  getCrossedShare,
+  labels,
+  selected,
+  onSelect,
+  fileName,
+}) {
+  const [open, setOpen] = useState(false);
+  const [sort, setSort] = useState({ key: 'midnight', ascending: true });
+  const [query, setQuery] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const i18n = useI18n();
+  const { locale, t, formatNumber, formatDateTime, formatCountdown } = i18n;
+
+  const baseRows = useMemo(
+    () => (open ? features.map(feature => timelineRow(feature, getArrival)) : []),
+    [open, features, getArrival]
+  );
+
+  // Only countries the line is inside need their crossed share measured
+  const rows = baseRows.map(row => {
+    if (currentTime >= row.last.time) return { ...row, status: 'arrived', share: 1 };
+    if (currentTime < row.first.time) return { ...row, status: 'waiting', share: 0 };
+    return { ...row, status: 'crossing', share: getCrossedShare(row.feature) };
+  });
+
+  const needle = query.trim().toLowerCase();
+  const column = COLUMNS.find(c => c.key === sort.key);
+  const shown = rows
+    .filter(row => statusFilter === 'all' || row.status === statusFilter)
+    .filter(row => !needle || row.name.toLowerCase().includes(needle))
+    .sort((a, b) => {
+      const order = d3.ascending(column.value(a), column.value(b)) || d3.ascending(a.name, b.name);
+      return sort.ascending ? order : -order;
+    });
+
+  const statusText = (row) => {
+    if (row.status === 'arrived') return labels.arrived;
+    if (row.status === 'crossing') {
+      return t('timeline.crossed', { percent: formatNumber(Math.round(row.share * 100)) });
+    }
+    return t('timeline.waiting');
+  };
+
+  // Solar midnight at the country's centroid, as in the tooltip
+  const calendarEvent = (row) => arrivalEvent({
+    place: row.name,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    timeZone: row.zone,
+    arrival: row.midnight,
+  }, labels, i18n);
+
+  const exportAs = (format) => {
+    if (format === 'ics') {
+      downloadIcs(fileName, labels.wave, shown.map(calendarEvent));
+      return;
+    }
+    const records = shown.map(row => exportRecord(row, currentTime));
+    if (format === 'csv') {
+      downloadBlob(`${fileName}.csv`, new Blob([toCsv(records)], { type: 'text/csv' }));
+    } else {
+      downloadBlob(`${fileName}.json`, new Blob([JSON.stringify(records, null, 2)], { type: 'application/json' }));
+    }
+  };
+
+  return (
+    <details className="timeline" open={open} onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary className="timeline-summary">
+        {t('timeline.summary', { count: formatNumber(features.length) })}
+      </summary>
+      {open && (
+        <>
+          <div className="timeline-controls">
+            <input
+              type="search"
+              className="timeline-filter"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t('timeline.filter')}
+              aria-label={t('timeline.filter')}
+            />
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              aria-label={t('timeline.statusFilter')}
+            >
+              <option value="all">{t('timeline.all')}</option>
+              <option value="waiting">{t('timeline.waiting')}</option>
+              <option value="crossing">{t('timeline.crossing')}</option>
+              <option value="arrived">{labels.arrived}</option>
+            </select>
+            <button className="map-option" onClick={() => exportAs('csv')} disabled={!shown.length}>
+              {t('timeline.exportCsv')}
+            </button>
+            <button className="map-option" onClick={() => exportAs('json')} disabled={!shown.length}>
+              {t('timeline.exportJson')}
+            </button>
+            <button className="map-option" onClick={() => exportAs('ics')} disabled={!shown.length}>
+              {t('timeline.exportIcs')}
+            </button>
+          </div>
+          <div className="timeline-scroll">
+            <table className="timeline-table">
+              <thead>
+                <tr>
+                  {COLUMNS.map(({ key, label }) => (
+                    <th
+                      key={key}
+                      aria-sort={sort.key === key ? (sort.ascending ? 'ascending' : 'descending') : 'none'}
+                    >
+                      <button
+                        className="timeline-sort"
+                        onClick={() => setSort(s => ({ key, ascending: s.key === key ? !s.ascending : true }))}
+                      >
+                        {t(label)}
+                        {sort.key === key && (sort.ascending ? ' ▲' : ' ▼')}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map(row => (
+                  <tr
+                    key={row.feature.id ?? row.name}
+                    className={`timeline-row ${row.status} ${row.name === selected ? 'selected' : ''}`}
+                  >
+                    <td>
+                      <button
+                        className="timeline-country"
+                        onClick={() => onSelect(row.feature)}
+                        aria-pressed={row.name === selected}
+                        title={t('timeline.show')}
+                      >
+                        {row.name}
+                      </button>
+                      <button
+                        className="timeline-calendar"
+                        onClick={() => downloadArrival(fileName, calendarEvent(row))}
+                        aria-label={t('ics.addPlace', { place: row.name })}
+                        title={t('ics.addPlace', { place: row.name })}
+                      >
+                        📅
+                      </button>
+                    </td>
+                    <td>{formatDateTime(row.midnight.toUTC())}</td>
+                    <td title={row.zone ?? undefined}>
+                      {formatDateTime(row.local)} {row.local.setLocale(locale).offsetNameShort}
+                    </td>
+                    <td>
+                      {formatDateTime(row.first.time.toUTC())}
+                      <span className="timeline-lon">{formatLongitude(row.first.longitude)}</span>
+                    </td>
+                    <td>
+                      {formatDateTime(row.last.time.toUTC())}
+                      <span className="timeline-lon">{formatLongitude(row.last.longitude)}</span>
+                    </td>
+                    <td className="timeline-status">{statusText(row)}</td>
+                    <td>{row.midnight > currentTime ? formatCountdown(row.midnight, currentTime) : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!shown.length && <div className="timeline-empty">{t('timeline.empty')}</div>}
+          </div>
+        </>
+      )}
+    </details>
+  );
+}
@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import {
+  CALENDARS,
+  NEW_YEAR,
+  calendarEvent,
+  describeEventDate,
+  isAnyNewYear,
+  isNewYearEvent,
+  parseEventDate,
+} from './wave';
+import { useI18n } from './i18n';
+
+// Choose what the wave runs toward: another calendar's new year, or a calendar date
+// with a name and whether it recurs
+export default function EventPicker({ event, date, onChange }) {
+  const { locale, t } = useI18n();
+  const [calendar, setCalendar] = useState(event.calendar ?? '');
+  const [name, setName] = useState(isAnyNewYear(event) || event.calendar ? '' : event.name);
+  const [day, setDay] = useState(date.toISODate());
+  const [recurring, setRecurring] = useState(!event.year);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (calendar) {
+      onChange(calendarEvent(calendar));
+      return;
+    }
+    const parsed = parseEventDate(recurring ? `-${day.slice(4)}` : day);
+    if (!parsed) return;
+    onChange({ ...parsed, name: name.trim() || describeEventDate(parsed, locale) });
+  };
+
+  const handleReset = () => {
+    setCalendar('');
+    setName('');
+    setRecurring(true);
+    onChange(NEW_YEAR);
+  };
+
+  return (
+    <form className="event-picker" onSubmit={handleSubmit}>
+      <span className="event-picker-label">{t('event.waveToward')}</span>
+      <select
+        className="event-picker-input"
+        value={calendar}
+        onChange={(e) => setCalendar(e.target.value)}
+        aria-label={t('event.calendar')}
+      >
+        <option value="">{t('event.aDate')}</option>
+        {Object.keys(CALENDARS).map(key => (
+          <option key={key} value={key}>{t(`calendar.${key}.label`)}</option>
+        ))}
+      </select>
+      {!calendar && (
+        <>
+          <input
+            type="text"
+            className="event-picker-input"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={t('event.name')}
+            maxLength={60}
+            aria-label={t('event.name')}
+          />
+          <input
+            type="date"
+            className="event-picker-input"
+            value={day}
+            onChange={(e) => setDay(e.target.value)}
+            required
+            aria-label={t('event.date')}
+          />
+          <label className="event-picker-recurring">
+            <input
+              type="checkbox"
+              checked={recurring}
+              onChange={(e) => setRecurring(e.target.checked)}
+            />
+            {t('event.everyYear')}
+          </label>
+        </>
+      )}
+      <button type="submit" className="map-option">{t('event.apply')}</button>
+      {!isNewYearEvent(event) && (
+        <button type="button" className="map-option" onClick={handleReset}>
+          {t('event.backToNewYear')}
+        </button>
+      )}
+    </form>
+  );
+}
@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from 'react';
+import { downloadBlob } from './download';
+import { useI18n } from './i18n';
+import { EXPORT_SCALES, exportSnapshot, exportTimelapse, frameSize, timelapseType } from './mapExport';
+
+// Save the map as an SVG or PNG snapshot, or record a timelapse of the whole wave.
+// `getFrame()` returns what the current view needs at the moment of export:
+// { view, layers, instant, title, time, legend }; `timelapse` is the { start, end,
+// formatTime } of the recording. `mapSize` is the map's { width, height } in map units.
+export default function ExportPanel({ getFrame, timelapse, fileName, mapSize }) {
+  const [scale, setScale] = useState(2);
+  const [busy, setBusy] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+  const { t, formatNumber } = useI18n();
+  const videoType = timelapseType();
+  const size = frameSize(mapSize);
+
+  // Stop a recording if the component goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const saveSnapshot = async (format) => {
+    setBusy(format);
+    setError(null);
+    try {
+      const frame = getFrame();
+      const blob = await exportSnapshot({ format, scale, ...frame });
+      downloadBlob(`${fileName}-${frame.instant.toUTC().toFormat('yyyyMMdd-HHmm')}.${format}`, blob);
+    } catch (err) {
+      console.error('Snapshot failed:', err);
+      setError(t('export.failed'));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const recordTimelapse = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setBusy('video');
+    setProgress(0);
+    setError(null);
+    try {
+      const { view, layers, title, legend } = getFrame();
+      const blob = await exportTimelapse({
+        scale,
+        view,
+        layers,
+        title,
+        legend,
+        ...timelapse,
+        onProgress: setProgress,
+        signal: controller.signal,
+      });
+      downloadBlob(`${fileName}-timelapse.${blob.type === 'video/mp4' ? 'mp4' : 'webm'}`, blob);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Timelapse failed:', err);
+        setError(t('export.failed'));
+      }
+    } finally {
+      abortRef.current = null;
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="map-export" role="group" aria-label={t('export.group')}>
+      <label className="map-option-select">
+        <span>{t('export.size')}</span>
+        <select value={scale} onChange={(e) => setScale(Number(e.target.value))} disabled={Boolean(busy)}>
+          {EXPORT_SCALES.map(s => (
+            <option key={s} value={s}>{s}× ({size.width * s} × {size.height * s})</option>
+          ))}
+        </select>
+      </label>
+      <button className="map-option" onClick={() => saveSnapshot('png')} disabled={Boolean(busy)}>
+        {busy === 'png' ? t('export.saving') : t('export.savePng')}
+      </button>
+      <button className="map-option" onClick={() => saveSnapshot('svg')} disabled={Boolean(busy)}>
+        {busy === 'svg' ? t('export.saving') : t('export.saveSvg')}
+      </button>
+      {busy === 'video' ? (
+        <button className="map-option active" onClick={() => abortRef.current?.abort()}>
+          {t('export.recording', { percent: formatNumber(Math.round(progress * 100)) })}
+        </button>
+      ) : (
+        <button
+          className="map-option"
+          onClick={recordTimelapse}
+          disabled={Boolean(busy) || !videoType}
+          title={t(videoType ? 'export.timelapseHint' : 'export.noVideo')}
+        >
+          {t('export.timelapse')}
+        </button>
+      )}
+      {error && <div className="map-export-error">{error}</div>}
+    </div>
+  );
+}
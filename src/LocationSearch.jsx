@@ -0,0 +1,144 @@
+import { useEffect, useId, useState } from 'react';
+import { formatCoordinates, loadGazetteer, parseCoordinates, searchCities } from './gazetteer';
+import { useI18n } from './i18n';
+
+// Search box for a city (offline gazetteer) or typed "lat, lon" coordinates. Each result
+// can also be pinned straight away (`onPin`, `isPinned`) without becoming your location.
+export default function LocationSearch({ onSelect, onPin, isPinned }) {
+  const [query, setQuery] = useState('');
+  const [gazetteer, setGazetteer] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const listId = useId();
+  const { t } = useI18n();
+
+  // Fetch the gazetteer the first time the box is used, and again on reopening it
+  // after a failed load
+  useEffect(() => {
+    if (!open || gazetteer) return;
+    let cancelled = false;
+    loadGazetteer()
+      .then(data => {
+        if (cancelled) return;
+        setGazetteer(data);
+        setLoadError(null);
+      })
+      .catch(() => {
+        if (!cancelled) setLoadError('search.unavailable');
+      });
+    return () => { cancelled = true; };
+  }, [open, gazetteer]);
+
+  const coordinates = parseCoordinates(query);
+  let results = [];
+  if (coordinates) {
+    results = [{ ...coordinates, label: t('search.goTo', { coordinates: formatCoordinates(coordinates) }) }];
+  } else if (gazetteer && query.trim()) {
+    results = searchCities(gazetteer, query).map(city => ({
+      ...city,
+      label: `${city.name}, ${city.country}`,
+      detail: formatCoordinates(city),
+    }));
+  }
+
+  const toLocation = (result) => {
+    const { label: _label, detail: _detail, ...location } = result;
+    return location;
+  };
+
+  const choose = (result) => {
+    onSelect(toLocation(result));
+    setQuery('');
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (!results.length) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive(i => (i + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[active]) choose(results[active]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  // Opening the box retries a failed load (see above), so its error goes until that fails too
+  const openList = () => {
+    if (!open) setLoadError(null);
+    setOpen(true);
+  };
+
+  const showList = open && results.length > 0;
+
+  return (
+    <div className="location-search">
+      <input
+        type="search"
+        className="location-search-input"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+          openList();
+        }}
+        onFocus={openList}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        placeholder={t('search.placeholder')}
+        role="combobox"
+        aria-label={t('search.label')}
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-activedescendant={showList ? `${listId}-${active}` : undefined}
+      />
+      {showList && (
+        <ul className="location-search-results" id={listId} role="listbox">
+          {results.map((result, i) => {
+            const pinned = onPin && isPinned(toLocation(result));
+            const pinLabel = pinned ? t('location.pinned') : t('search.pin', { place: result.label });
+            return (
+              <li
+                key={`${result.label}-${result.latitude}-${result.longitude}`}
+                id={`${listId}-${i}`}
+                role="option"
+                aria-selected={i === active}
+                className={i === active ? 'active' : ''}
+                // Keep focus in the input so the blur does not close the list first
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose(result)}
+              >
+                <span>{result.label}</span>
+                {result.detail && <span className="location-search-detail">{result.detail}</span>}
+                {onPin && (
+                  <button
+                    type="button"
+                    className="location-search-pin"
+                    // Focus stays in the input, so this is reached by pointer; the list stays
+                    // open for pinning several results in a row
+                    tabIndex={-1}
+                    disabled={pinned}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onPin(toLocation(result));
+                    }}
+                    aria-label={pinLabel}
+                    title={pinLabel}
+                  >
+                    📌
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {loadError && open && !coordinates && <div className="location-error">{t(loadError)}</div>}
+    </div>
+  );
+}
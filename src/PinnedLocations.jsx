@@ -0,0 +1,100 @@
+import { formatCoordinates } from './gazetteer';
+import { arrivalEvent, downloadArrival } from './ics';
+import { useI18n } from './i18n';
+
+// Watch list of pinned places, each with its own arrival time, countdown and status,
+// and a calendar file of the arrival (named after `fileName`)
+export default function PinnedLocations({
+  pins,
+  currentTime,
+  labels,
+  getArrival,
+  hasArrivedAt,
+  onRename,
+  onRemove,
+  onMove,
+  fileName,
+}) {
+  const i18n = useI18n();
+  const { t, formatCountdown, formatDateTime, formatTime } = i18n;
+  if (!pins.length) return null;
+
+  return (
+    <section className="pinned-section" aria-label={t('pins.heading')}>
+      <div className="pinned-heading">{t('pins.heading')}</div>
+      <ol className="pinned-list">
+        {pins.map((pin, i) => {
+          const arrival = getArrival(pin.longitude);
+          const arrived = hasArrivedAt(pin.longitude);
+          return (
+            <li key={pin.id} className={`pinned-card ${arrived ? 'in-new-year' : ''}`}>
+              <div className="pinned-card-header">
+                <input
+                  className="pinned-card-label"
+                  value={pin.label}
+                  onChange={(e) => onRename(pin.id, e.target.value)}
+                  maxLength={40}
+                  aria-label={t('pins.name')}
+                />
+                <div className="pinned-card-actions">
+                  <button
+                    className="pinned-card-button"
+                    onClick={() => downloadArrival(fileName, arrivalEvent({
+                      place: pin.label,
+                      latitude: pin.latitude,
+                      longitude: pin.longitude,
+                      timeZone: pin.timeZone,
+                      arrival,
+                    }, labels, i18n))}
+                    aria-label={t('ics.addPlace', { place: pin.label })}
+                    title={t('ics.addPlace', { place: pin.label })}
+                  >
+                    📅
+                  </button>
+                  <button
+                    className="pinned-card-button"
+                    onClick={() => onMove(pin.id, -1)}
+                    disabled={i === 0}
+                    aria-label={t('pins.up', { name: pin.label })}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    className="pinned-card-button"
+                    onClick={() => onMove(pin.id, 1)}
+                    disabled={i === pins.length - 1}
+                    aria-label={t('pins.down', { name: pin.label })}
+                  >
+                    ↓
+                  </button>
+                  <button
+                    className="pinned-card-button"
+                    onClick={() => onRemove(pin.id)}
+                    aria-label={t('pins.remove', { name: pin.label })}
+                  >
+                    ✕
+                  </button>
+                </div>
+              </div>
+              <div className="pinned-card-coords">{formatCoordinates(pin)}</div>
+              <div className="pinned-card-midnight">
+                <span className="midnight-label">
+                  {t('pins.arrival', { arrival: labels.arrival, name: labels.name })}
+                </span>
+                <span className="midnight-time">{t('time.utc', { time: formatDateTime(arrival) })}</span>
+                <span className="midnight-local">
+                  {t('location.localTime', { time: formatTime(arrival.setZone(pin.timeZone ?? 'local')) })}
+                </span>
+              </div>
+              <div className={`your-location-status ${arrived ? 'in-new-year' : ''}`}>
+                {arrived
+                  ? `🎉 ${labels.arrived}`
+                  : t('pins.countdown', { name: labels.name, countdown: formatCountdown(arrival, currentTime) })}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
+}
@@ -0,0 +1,106 @@
+import * as d3 from 'd3';
+import { useI18n } from './i18n';
+import { continentVariable } from './themes';
+
+// A continent's colour in the current theme (see themes.js)
+const continentColor = (code) => `var(${continentVariable(code)})`;
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 72;
+
+// Stacked area of the people reached over the wave window, one band per continent,
+// with a marker at the current time
+function CrossingChart({ series, continents, total, currentTime }) {
+  const { t } = useI18n();
+  const start = series[0].time;
+  const span = series[series.length - 1].time.diff(start).toMillis();
+  const x = (time) => (time.diff(start).toMillis() / span) * CHART_WIDTH;
+  const y = (people) => CHART_HEIGHT - (people / total) * CHART_HEIGHT;
+
+  // Running totals, bottom band first
+  const stacked = series.map(({ time, crossed }) => {
+    let sum = 0;
+    return { time, bands: crossed.map(people => [sum, (sum += people)]) };
+  });
+  const band = (c) => d3.area()
+    .x(d => x(d.time))
+    .y0(d => y(d.bands[c][0]))
+    .y1(d => y(d.bands[c][1]))(stacked);
+
+  const nowX = x(currentTime);
+  const hourMarks = d3.range(0, span, 6 * 3600000).slice(1);
+
+  return (
+    <svg
+      className="population-chart"
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label={t('people.chart')}
+    >
+      {hourMarks.map(ms => (
+        <line
+          key={ms}
+          className="population-chart-grid"
+          x1={(ms / span) * CHART_WIDTH}
+          x2={(ms / span) * CHART_WIDTH}
+          y1={0}
+          y2={CHART_HEIGHT}
+        />
+      ))}
+      {continents.map((code, c) => (
+        <path key={code} d={band(c)} style={{ fill: continentColor(code) }} fillOpacity={0.75} />
+      ))}
+      {nowX >= 0 && nowX <= CHART_WIDTH && (
+        <line className="population-chart-now" x1={nowX} x2={nowX} y1={0} y2={CHART_HEIGHT} />
+      )}
+    </svg>
+  );
+}
+
+// Population-weighted progress: how many people (and what share of humanity) the
+// wave has reached, by continent, and a chart of the crossing over time
+export default function PopulationPanel({ population, crossed, series, currentTime, labels }) {
+  const { t, rich, formatNumber, formatPeople } = useI18n();
+  const reached = crossed.reduce((a, b) => a + b, 0);
+  const share = (reached / population.total) * 100;
+  // Antarctica has no permanent population to show
+  const shown = population.continents
+    .map((code, c) => ({ code, c }))
+    .filter(({ code }) => code !== 'AN');
+
+  return (
+    <section className="population-panel" aria-label={t('people.label')}>
+      <div className="population-headline">
+        {rich('people.headline', {
+          people: formatPeople(reached),
+          percent: formatNumber(share, { maximumFractionDigits: share < 10 && share > 0 ? 1 : 0 }),
+          phrase: labels.people,
+        })}
+      </div>
+      <ul className="population-continents">
+        {shown.map(({ code, c }) => (
+          <li key={code} className="population-continent">
+            <span className="population-swatch" style={{ background: continentColor(code) }} />
+            <span className="population-continent-name">{t(`continent.${code}`)}</span>
+            <span className="population-continent-value">
+              {formatPeople(crossed[c])} ·{' '}
+              {formatNumber(crossed[c] / population.totals[c], { style: 'percent' })}
+            </span>
+          </li>
+        ))}
+      </ul>
+      {series && (
+        <CrossingChart
+          series={series}
+          continents={population.continents}
+          total={population.total}
+          currentTime={currentTime}
+        />
+      )}
+      <div className="population-note">
+        {t('people.note')}
+      </div>
+    </section>
+  );
+}
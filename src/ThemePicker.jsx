@@ -0,0 +1,55 @@
+import { useEffect, useRef } from 'react';
+import { CUSTOM_COLORS, THEMES } from './themes';
+import { useI18n } from './i18n';
+
+// A colour input that shows each step of a drag with `onInput` and keeps the colour
+// with `onCommit` once it is picked. React's onChange fires on every step, so the
+// native change event is listened to directly.
+function ColorInput({ role, value, onInput, onCommit }) {
+  const input = useRef(null);
+
+  useEffect(() => {
+    const element = input.current;
+    const onChange = () => onCommit(role, element.value);
+    element.addEventListener('change', onChange);
+    return () => element.removeEventListener('change', onChange);
+  }, [role, onCommit]);
+
+  return <input ref={input} type="color" value={value} onChange={(e) => onInput(role, e.target.value)} />;
+}
+
+// Theme choice and custom colours for the old year, the new year and the midnight
+// line, labelled as in the legend. `theme` comes from useTheme.
+export default function ThemePicker({ theme, labels }) {
+  const { palette, colors, setTheme, previewColor, setColor, resetColors } = theme;
+  const { t } = useI18n();
+  const colorLabels = {
+    oldYear: labels.before,
+    newYear: labels.after,
+    line: t('legend.midnight'),
+  };
+
+  return (
+    <div className="theme-picker" role="group" aria-label={t('theme.group')}>
+      <label className="map-option-select">
+        {t('theme.label')}
+        <select value={theme.theme} onChange={(e) => setTheme(e.target.value)}>
+          {['auto', ...Object.keys(THEMES)].map(name => (
+            <option key={name} value={name}>{t(`theme.${name}`)}</option>
+          ))}
+        </select>
+      </label>
+      {CUSTOM_COLORS.map(role => (
+        <label key={role} className="theme-picker-color">
+          <ColorInput role={role} value={palette[role]} onInput={previewColor} onCommit={setColor} />
+          {colorLabels[role]}
+        </label>
+      ))}
+      {Object.keys(colors).length > 0 && (
+        <button className="map-option" onClick={resetColors}>
+          {t('theme.reset')}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { SPEEDS } from './useSimulatedClock';
+import { useI18n } from './i18n';
+
+// Timeline scrubber with play/pause, speed and "back to live" controls
+export default function TimeControls({ clock, rangeStart, rangeEnd }) {
+  const { currentTime, live, playing, speed } = clock;
+  const { t, formatNumber, formatDateTime, formatDateClock } = useI18n();
+
+  const start = rangeStart.toMillis();
+  const end = rangeEnd.toMillis();
+  // Scrub in one-minute steps; times outside the window pin the thumb to an edge
+  const value = Math.min(end, Math.max(start, currentTime.toMillis()));
+
+  return (
+    <div className="time-controls">
+      <div className="time-controls-row">
+        <button
+          className="time-control-button"
+          onClick={playing ? clock.pause : clock.play}
+          aria-label={t(playing ? 'time.pause' : 'time.play')}
+        >
+          {playing ? (
+            <svg viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+              <rect x="6" y="5" width="4" height="14" />
+              <rect x="14" y="5" width="4" height="14" />
+            </svg>
+          ) : (
+            <svg viewBox="0 0 24 24" width="14" height="14" fill="currentColor">
+              <polygon points="7 5 19 12 7 19" />
+            </svg>
+          )}
+        </button>
+        <div className="time-control-speeds" role="group" aria-label={t('time.speed')}>
+          {SPEEDS.map(s => (
+            <button
+              key={s}
+              className={`time-control-button ${!live && speed === s ? 'active' : ''}`}
+              onClick={() => clock.setSpeed(s)}
+              aria-pressed={!live && speed === s}
+            >
+              {formatNumber(s)}×
+            </button>
+          ))}
+        </div>
+        <span className="time-control-clock">
+          {t('time.utc', { time: formatDateClock(currentTime) })}
+        </span>
+        <button
+          className={`time-control-button live ${live ? 'active' : ''}`}
+          onClick={clock.goLive}
+          disabled={live}
+        >
+          {t(live ? 'time.live' : 'time.goLive')}
+        </button>
+      </div>
+      <input
+        type="range"
+        className="time-scrubber"
+        min={start}
+        max={end}
+        step={60 * 1000}
+        value={value}
+        onChange={(e) => clock.seek(Number(e.target.value))}
+        aria-label={t('time.scrubber')}
+        aria-valuetext={t('time.utc', { time: formatDateTime(currentTime) })}
+      />
+      <div className="time-scrubber-labels">
+        <span>{formatDateTime(rangeStart)}</span>
+        <span>{t('time.utc', { time: formatDateTime(rangeEnd) })}</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import { useI18n } from './i18n';
+
+// Rolling list of the next places the wave reaches, with live countdowns
+export default function UpNext({ places, currentTime }) {
+  const { t, formatCountdown, formatTime } = useI18n();
+  if (!places.length) return null;
+
+  return (
+    <section className="up-next" aria-label={t('upNext.heading')}>
+      <div className="up-next-heading">{t('upNext.heading')}</div>
+      <ol className="up-next-list">
+        {places.map(place => (
+          <li key={place.key} className={`up-next-item ${place.kind}`}>
+            <span className="up-next-name">
+              {place.name}
+              <span className="up-next-detail">{place.kind === 'city' ? place.country : t('upNext.enters')}</span>
+            </span>
+            <span className="up-next-time">{formatTime(place.time.toLocal())}</span>
+            <span className="up-next-countdown">{t('upNext.in', { countdown: formatCountdown(place.time, currentTime) })}</span>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
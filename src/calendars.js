@@ -0,0 +1,271 @@
+import { DateTime } from 'luxon';
+import { equationOfTime, solarDeclination } from './solar.js';
+
+// New years of other calendars, computed from astronomy or calendar rules:
+// - Chinese: the second new moon after the winter solstice (dates in Beijing time)
+// - Persian (Nowruz): the instant of the March equinox, Farvardin 1 by the noon rule
+// - Islamic: the first crescent after the Muharram conjunction, Umm al-Qura style
+// - Hebrew: the fixed arithmetic calendar (molad of Tishri and its postponements)
+// Equinox, solstice and new moon instants follow Meeus, Astronomical Algorithms
+// (chapters 27 and 49), good to about a minute for 1000-3000 CE.
+
+const DEG = Math.PI / 180;
+
+// Julian Ephemeris Day to a UTC DateTime, correcting TT to UT with ΔT
+const fromJDE = (jde) => {
+  const millis = (jde - 2440587.5) * 86400000;
+  const year = 1970 + millis / (365.2425 * 86400000);
+  // Espenak & Meeus polynomial for 2005-2050, a fair extrapolation either side
+  const t = year - 2000;
+  const deltaT = 62.92 + 0.32217 * t + 0.005589 * t * t;
+  return DateTime.fromMillis(millis - deltaT * 1000, { zone: 'utc' });
+};
+
+// Periodic terms for equinoxes and solstices (Meeus table 27.C): [A, B, C]
+const SEASON_TERMS = [
+  [485, 324.96, 1934.136], [203, 337.23, 32964.467], [199, 342.08, 20.186],
+  [182, 27.85, 445267.112], [156, 73.14, 45036.886], [136, 171.52, 22518.443],
+  [77, 222.54, 65928.934], [74, 296.72, 3034.906], [70, 243.58, 9037.513],
+  [58, 119.81, 33718.147], [52, 297.17, 150.678], [50, 21.02, 2281.226],
+  [45, 247.54, 29929.562], [44, 325.15, 31555.956], [29, 60.93, 4443.417],
+  [18, 155.12, 67555.328], [17, 288.79, 4562.452], [16, 198.04, 62894.029],
+  [14, 199.76, 31436.921], [12, 95.39, 14577.848], [12, 287.11, 31931.756],
+  [12, 320.81, 34777.259], [9, 227.73, 1222.114], [8, 15.45, 16859.074],
+];
+
+// Mean equinox/solstice polynomials for 1000-3000 CE (Meeus table 27.B)
+const SEASONS = {
+  march: [2451623.80984, 365242.37404, 0.05169, -0.00411, -0.00057],
+  december: [2451900.05952, 365242.74049, -0.06223, -0.00823, 0.00032],
+};
+
+const season = (name, year) => {
+  const y = (year - 2000) / 1000;
+  const jde0 = SEASONS[name].reduce((sum, c, i) => sum + c * y ** i, 0);
+  const t = (jde0 - 2451545) / 36525;
+  const w = (35999.373 * t - 2.47) * DEG;
+  const dl = 1 + 0.0334 * Math.cos(w) + 0.0007 * Math.cos(2 * w);
+  const s = SEASON_TERMS.reduce((sum, [a, b, c]) => sum + a * Math.cos((b + c * t) * DEG), 0);
+  return fromJDE(jde0 + (0.00001 * s) / dl);
+};
+
+export const marchEquinox = (year) => season('march', year);
+export const decemberSolstice = (year) => season('december', year);
+
+// Additional planetary corrections for new moons (Meeus ch. 49): [coefficient, a, b]
+// for coefficient * sin(a + b * k)
+const MOON_PLANETARY = [
+  [0.000165, 251.88, 0.016321], [0.000164, 251.83, 26.651886], [0.000126, 349.42, 36.412478],
+  [0.00011, 84.66, 18.206239], [0.000062, 141.74, 53.303771], [0.00006, 207.14, 2.453732],
+  [0.000056, 154.84, 7.30686], [0.000047, 34.52, 27.261239], [0.000042, 207.19, 0.121824],
+  [0.00004, 291.34, 1.844379], [0.000037, 161.72, 24.198154], [0.000035, 239.56, 25.513099],
+  [0.000023, 331.55, 3.592518],
+];
+
+// Instant of new moon number k (k = 0 is the new moon of 2000-01-06)
+const newMoon = (k) => {
+  const t = k / 1236.85;
+  const jde = 2451550.09766 + 29.530588861 * k + 0.00015437 * t ** 2
+    - 0.00000015 * t ** 3 + 0.00000000073 * t ** 4;
+  const e = 1 - 0.002516 * t - 0.0000074 * t ** 2;
+  const m = (2.5534 + 29.1053567 * k - 0.0000014 * t ** 2 - 0.00000011 * t ** 3) * DEG;
+  const mm = (201.5643 + 385.81693528 * k + 0.0107582 * t ** 2 + 0.00001238 * t ** 3
+    - 0.000000058 * t ** 4) * DEG;
+  const f = (160.7108 + 390.67050284 * k - 0.0016118 * t ** 2 - 0.00000227 * t ** 3
+    + 0.000000011 * t ** 4) * DEG;
+  const om = (124.7746 - 1.56375588 * k + 0.0020672 * t ** 2 + 0.00000215 * t ** 3) * DEG;
+  const sin = Math.sin;
+  const correction = -0.4072 * sin(mm)
+    + 0.17241 * e * sin(m)
+    + 0.01608 * sin(2 * mm)
+    + 0.01039 * sin(2 * f)
+    + 0.00739 * e * sin(mm - m)
+    - 0.00514 * e * sin(mm + m)
+    + 0.00208 * e * e * sin(2 * m)
+    - 0.00111 * sin(mm - 2 * f)
+    - 0.00057 * sin(mm + 2 * f)
+    + 0.00056 * e * sin(2 * mm + m)
+    - 0.00042 * sin(3 * mm)
+    + 0.00042 * e * sin(m + 2 * f)
+    + 0.00038 * e * sin(m - 2 * f)
+    - 0.00024 * e * sin(2 * mm - m)
+    - 0.00017 * sin(om)
+    - 0.00007 * sin(mm + 2 * m)
+    + 0.00004 * sin(2 * mm - 2 * f)
+    + 0.00004 * sin(3 * m)
+    + 0.00003 * sin(mm + m - 2 * f)
+    + 0.00003 * sin(2 * mm + 2 * f)
+    - 0.00003 * sin(mm + m + 2 * f)
+    + 0.00003 * sin(mm - m + 2 * f)
+    - 0.00002 * sin(mm - m - 2 * f)
+    - 0.00002 * sin(3 * mm + m)
+    + 0.00002 * sin(4 * mm);
+  const planetary = 0.000325 * sin((299.77 + 0.107408 * k - 0.009173 * t ** 2) * DEG)
+    + MOON_PLANETARY.reduce((sum, [c, a, b]) => sum + c * sin((a + b * k) * DEG), 0);
+  return fromJDE(jde + correction + planetary);
+};
+
+// First new moon at or after an instant
+const newMoonAfter = (dt) => {
+  let k = Math.floor((dt.toMillis() - Date.UTC(2000, 0, 6, 18, 14)) / (29.530588861 * 86400000)) - 1;
+  while (newMoon(k) < dt) k++;
+  return newMoon(k);
+};
+
+// Calendar date (as a UTC DateTime at 00:00) of an instant in a fixed UTC offset
+const dateAtOffset = (dt, hours) => {
+  const local = dt.plus({ hours });
+  return DateTime.utc(local.year, local.month, local.day);
+};
+
+// Fixed day number (Rata Die, day 1 = Jan 1, 1 CE) to a UTC date
+const fromFixed = (rd) => DateTime.fromMillis((rd - 719163) * 86400000, { zone: 'utc' });
+
+// --- Chinese ---
+
+const BEIJING_OFFSET = 8;
+const ANIMALS = ['Rat', 'Ox', 'Tiger', 'Rabbit', 'Dragon', 'Snake', 'Horse', 'Goat', 'Monkey', 'Rooster', 'Dog', 'Pig'];
+
+// Zodiac animal of the Chinese year starting in a Gregorian year
+export const zodiacAnimal = (year) => ANIMALS[((year - 2020) % 12 + 12) % 12];
+
+// Month 11 holds the winter solstice, so month 1 starts with the second new moon
+// (by Beijing date) after the solstice's date. A leap month in between, as after
+// the solstice of 2033, pushes it back one more moon; New Year always falls between
+// Jan 21 and Feb 20, which is enough to tell.
+const chineseNewYear = (year) => {
+  const solsticeDate = dateAtOffset(decemberSolstice(year - 1), BEIJING_OFFSET);
+  let moon = newMoonAfter(solsticeDate.minus({ hours: BEIJING_OFFSET }).plus({ days: 1 }));
+  moon = newMoonAfter(moon.plus({ days: 1 }));
+  if (dateAtOffset(moon, BEIJING_OFFSET) < DateTime.utc(year, 1, 21)) {
+    moon = newMoonAfter(moon.plus({ days: 1 }));
+  }
+  return dateAtOffset(moon, BEIJING_OFFSET);
+};
+
+// --- Persian ---
+
+// Farvardin 1 is the day of the equinox if it falls before noon in Tehran, else the next
+const TEHRAN_OFFSET = 3.5;
+
+const nowruz = (year) => {
+  const equinox = marchEquinox(year);
+  const tehran = equinox.plus({ hours: TEHRAN_OFFSET });
+  const date = DateTime.utc(tehran.year, tehran.month, tehran.day);
+  return { date: tehran.hour < 12 ? date : date.plus({ days: 1 }), at: equinox.startOf('second') };
+};
+
+// --- Islamic ---
+
+const ISLAMIC_EPOCH = 227015;
+const MECCA = { lat: 21.4225, lon: 39.8262 };
+
+// 1 Muharram of an AH year in the tabular (arithmetic) calendar
+const tabularIslamicNewYear = (year) =>
+  ISLAMIC_EPOCH + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30);
+
+// Sunset at Mecca on a date (UTC), from the sun's declination and equation of time
+const meccaSunset = (date) => {
+  const noon = date.plus({ hours: 12 - MECCA.lon / 15 });
+  const decl = solarDeclination(noon) * DEG;
+  const lat = MECCA.lat * DEG;
+  const cosH = (Math.sin(-0.833 * DEG) - Math.sin(lat) * Math.sin(decl)) / (Math.cos(lat) * Math.cos(decl));
+  const hourAngle = Math.acos(cosH) / DEG;
+  return noon.plus({ minutes: hourAngle * 4 - equationOfTime(noon) });
+};
+
+// Geocentric altitude (degrees) of the moon at Mecca at an instant, from the
+// Astronomical Almanac's low-precision lunar series (about 0.3° accurate)
+const meccaMoonAltitude = (dt) => {
+  const d = dt.toMillis() / 86400000 + 2440587.5 - 2451545;
+  const t = d / 36525;
+  const sinD = (deg) => Math.sin(deg * DEG);
+  const lambda = 218.32 + 481267.881 * t
+    + 6.29 * sinD(135 + 477198.87 * t) - 1.27 * sinD(259.3 - 413335.36 * t)
+    + 0.66 * sinD(235.7 + 890534.22 * t) + 0.21 * sinD(269.9 + 954397.74 * t)
+    - 0.19 * sinD(357.5 + 35999.05 * t) - 0.11 * sinD(186.5 + 966404.03 * t);
+  const beta = 5.13 * sinD(93.3 + 483202.02 * t) + 0.28 * sinD(228.2 + 960400.89 * t)
+    - 0.28 * sinD(318.3 + 6003.15 * t) - 0.17 * sinD(217.6 - 407332.21 * t);
+  const eps = 23.4393 * DEG;
+  const l = lambda * DEG;
+  const b = beta * DEG;
+  const ra = Math.atan2(Math.sin(l) * Math.cos(eps) - Math.tan(b) * Math.sin(eps), Math.cos(l));
+  const dec = Math.asin(Math.sin(b) * Math.cos(eps) + Math.cos(b) * Math.sin(eps) * Math.sin(l));
+  const siderealTime = (280.46061837 + 360.98564736629 * d + MECCA.lon) * DEG;
+  const lat = MECCA.lat * DEG;
+  const sinAlt = Math.sin(lat) * Math.sin(dec) + Math.cos(lat) * Math.cos(dec) * Math.cos(siderealTime - ra);
+  return Math.asin(sinAlt) / DEG;
+};
+
+// Geocentric altitude at which the moon's upper limb touches the horizon, allowing
+// for its parallax, semidiameter and refraction
+const MOONSET_ALTITUDE = 0.125;
+
+// The month starts the day after the first evening on which, at sunset in Mecca, the
+// conjunction has happened and the moon is still above the horizon (Umm al-Qura rule).
+// Published calendars and local sightings can differ from this by a day.
+const islamicNewYear = (year) => {
+  const estimate = fromFixed(tabularIslamicNewYear(year));
+  const conjunction = newMoonAfter(estimate.minus({ days: 5 }));
+  const evening = DateTime.utc(conjunction.year, conjunction.month, conjunction.day);
+  const sunset = meccaSunset(evening);
+  const crescent = conjunction < sunset && meccaMoonAltitude(sunset) > MOONSET_ALTITUDE;
+  return evening.plus({ days: crescent ? 1 : 2 });
+};
+
+// --- Hebrew ---
+
+const HEBREW_EPOCH = -1373427;
+
+// Days from the epoch to Tishri 1 of a year, before the year-length postponements
+const hebrewElapsedDays = (year) => {
+  const months = Math.floor((235 * year - 234) / 19);
+  const parts = 12084 + 13753 * months;
+  const days = 29 * months + Math.floor(parts / 25920);
+  return ((3 * (days + 1)) % 7 + 7) % 7 < 3 ? days + 1 : days;
+};
+
+// Keep year lengths within the allowed 353-355 and 383-385 days
+const hebrewYearDelay = (year) => {
+  const [previous, current, next] = [year - 1, year, year + 1].map(hebrewElapsedDays);
+  if (next - current === 356) return 2;
+  if (current - previous === 382) return 1;
+  return 0;
+};
+
+const hebrewNewYear = (year) =>
+  fromFixed(HEBREW_EPOCH + hebrewElapsedDays(year) + hebrewYearDelay(year));
+
+// Calendars the wave can follow. `yearStarts(gregorianYear)` lists the new years that
+// fall in a Gregorian year as { date, at?, year }: `date` is the calendar day whose
+// solar midnight sweeps the globe, `at` a single instant it begins everywhere at once.
+// `label` and `formatYear` are the English names for the CLI and event names; the app
+// takes its wording from the calendar.* messages in locales/.
+export const CALENDARS = {
+  chinese: {
+    label: 'Lunar New Year',
+    formatYear: (year) => `Year of the ${zodiacAnimal(year)}`,
+    yearStarts: (gYear) => [{ date: chineseNewYear(gYear), year: gYear }],
+  },
+  persian: {
+    label: 'Nowruz',
+    formatYear: (year) => `${year} SH`,
+    yearStarts: (gYear) => [{ ...nowruz(gYear), year: gYear - 621 }],
+  },
+  islamic: {
+    label: 'Islamic New Year',
+    formatYear: (year) => `${year} AH`,
+    // Islamic years are ~354 days, so a Gregorian year holds one or two of them
+    yearStarts: (gYear) => {
+      const first = Math.floor(((gYear - 622) * 33) / 32);
+      return [first, first + 1, first + 2]
+        .map(year => ({ date: islamicNewYear(year), year }))
+        .filter(({ date }) => date.year === gYear);
+    },
+  },
+  hebrew: {
+    label: 'Rosh Hashanah',
+    formatYear: (year) => `${year} AM`,
+    yearStarts: (gYear) => [{ date: hebrewNewYear(gYear + 3761), year: gYear + 3761 }],
+  },
+};
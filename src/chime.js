@@ -0,0 +1,36 @@
+// A short bell, synthesized with Web Audio so no sound file has to be shipped or cached.
+// Browsers only allow audio after a user gesture: call unlockChime() from one (e.g.
+// the checkbox that enables the chime) so later, timer-driven chimes can play.
+
+let audioContext = null;
+
+const getContext = () => {
+  const AudioContext = window.AudioContext ?? window.webkitAudioContext;
+  if (!AudioContext) return null;
+  audioContext ??= new AudioContext();
+  return audioContext;
+};
+
+export const unlockChime = () => {
+  getContext()?.resume();
+};
+
+// Partials of the bell: [frequency ratio, gain, decay in seconds]
+const PARTIALS = [[1, 0.3, 2.4], [2.76, 0.12, 1.2], [5.4, 0.06, 0.6]];
+const BASE_FREQUENCY = 880;
+
+export const playChime = () => {
+  const context = getContext();
+  if (!context || context.state !== 'running') return;
+  const start = context.currentTime;
+  PARTIALS.forEach(([ratio, gain, decay]) => {
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    oscillator.frequency.value = BASE_FREQUENCY * ratio;
+    envelope.gain.setValueAtTime(gain, start);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + decay);
+    oscillator.connect(envelope).connect(context.destination);
+    oscillator.start(start);
+    oscillator.stop(start + decay);
+  });
+};
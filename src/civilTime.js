@@ -0,0 +1,64 @@
+import * as d3 from 'd3';
+import tzlookup from '@photostructure/tz-lookup';
+import { DateTime } from 'luxon';
+
+// Civil (clock) midnight layer.
+// Time zone boundaries come from tz-lookup's bundled offline table, sampled onto a
+// half-degree grid; regions are traced from that grid with d3.contours.
+const CELL = 0.5;
+const COLS = 360 / CELL;
+const ROWS = 180 / CELL;
+
+// IANA zone for a point, or null for invalid coordinates
+export const zoneAt = (lat, lon) => {
+  try {
+    return tzlookup(lat, lon);
+  } catch {
+    return null;
+  }
+};
+
+// Sample every grid cell centre once: { zones: [name...], cells: Uint16Array of zone indices }
+export const buildZoneGrid = () => {
+  const zones = [];
+  const indexOf = new Map();
+  const cells = new Uint16Array(COLS * ROWS);
+  for (let row = 0; row < ROWS; row++) {
+    const lat = 90 - (row + 0.5) * CELL;
+    for (let col = 0; col < COLS; col++) {
+      const lon = -180 + (col + 0.5) * CELL;
+      const zone = zoneAt(lat, lon) ?? 'Etc/UTC';
+      if (!indexOf.has(zone)) {
+        indexOf.set(zone, zones.length);
+        zones.push(zone);
+      }
+      cells[row * COLS + col] = indexOf.get(zone);
+    }
+  }
+  return { zones, cells };
+};
+
+// Instant (UTC) at which local clocks in a zone strike 00:00 on a calendar date
+export const civilMidnight = (zone, date) =>
+  DateTime.fromObject({ year: date.year, month: date.month, day: date.day }, { zone }).toUTC();
+
+// Per-zone civil midnight instants in epoch millis, indexed like grid.zones
+export const zoneMidnights = (grid, date) =>
+  grid.zones.map(zone => civilMidnight(zone, date).toMillis());
+
+// Convert a contour ring from grid coordinates to [lon, lat], reversing it so the
+// winding matches d3-geo's clockwise-exterior convention after the y flip
+const gridRingToGeo = (ring) =>
+  ring.map(([x, y]) => [-180 + x * CELL, 90 - y * CELL]).reverse();
+
+// MultiPolygon of all zones whose clocks have already reached midnight at `millis`
+export const civilMidnightRegion = (grid, midnights, millis) => {
+  const reached = midnights.map(m => millis >= m);
+  if (!reached.some(Boolean)) return null;
+  const mask = Array.from(grid.cells, zone => (reached[zone] ? 1 : 0));
+  const [contour] = d3.contours().size([COLS, ROWS]).thresholds([0.5])(mask);
+  return {
+    type: 'MultiPolygon',
+    coordinates: contour.coordinates.map(polygon => polygon.map(gridRingToGeo)),
+  };
+};
@@ -0,0 +1,107 @@
+import * as d3 from 'd3';
+
+// Where the midnight line is and what it reaches next, from the map's countries and
+// the gazetteer's largest cities.
+
+// Cities of at least this many people are named in the status and the "up next" feed
+const MAJOR_CITY_POPULATION = 1e6;
+
+// Cities closer than this (in degrees) to a larger one are treated as part of it,
+// so boroughs and suburbs do not crowd out other places
+const SAME_CITY_DEGREES = 0.5;
+
+// Cities within this many degrees of longitude of the line count as crossing now
+// (about 6 minutes of the wave)
+const NEAR_LINE_DEGREES = 1.5;
+
+// Longitudes where the wave enters and leaves a feature. It runs westward, so it
+// enters at the eastern edge and leaves at the western one. A feature spanning the
+// date line is entered at 180° and left at −180°: its part west of the line (Russia's
+// Chukotka, Fiji's eastern islands) is the last the wave reaches.
+export const crossingSpan = (feature) => {
+  const [[west], [east]] = d3.geoBounds(feature);
+  return west > east ? { first: 180, last: -180 } : { first: east, last: west };
+};
+
+// Longitude ranges [west, east] a feature covers, one or two per polygon: a connected
+// polygon meets every meridian between its bounds, so these are exact where the
+// feature's overall bounds would cover gaps (Russia's bounds reach across the Pacific).
+const longitudeRanges = (feature) => {
+  const polygons = feature.geometry.type === 'MultiPolygon'
+    ? feature.geometry.coordinates.map(coordinates => ({ type: 'Polygon', coordinates }))
+    : [feature.geometry];
+  return polygons.flatMap(polygon => {
+    const [[west], [east]] = d3.geoBounds(polygon);
+    return west > east ? [[west, 180], [-180, east]] : [[west, east]];
+  });
+};
+
+// Countries with their names, spans, longitude ranges and areas. Features covering
+// every longitude (Antarctica) are left out: the line is always in them.
+export const countryCrossings = (features) => features
+  .filter(feature => {
+    const [[west], [east]] = d3.geoBounds(feature);
+    return east - west < 359.9;
+  })
+  .map(feature => ({
+    feature,
+    name: feature.properties?.name || 'Unknown',
+    ...crossingSpan(feature),
+    ranges: longitudeRanges(feature),
+    area: d3.geoArea(feature),
+  }));
+
+// The gazetteer's major cities, largest first, one per metropolitan area:
+// [{ name, country, latitude, longitude }]
+export const majorCities = ({ countries, cities }) => {
+  const chosen = [];
+  for (const [name, , code, latitude, longitude, , population] of cities) {
+    if (population < MAJOR_CITY_POPULATION) break;
+    const scale = Math.cos(latitude * Math.PI / 180);
+    const nearby = chosen.some(city =>
+      Math.abs(city.latitude - latitude) < SAME_CITY_DEGREES
+      && Math.abs(city.longitude - longitude) * scale < SAME_CITY_DEGREES);
+    if (!nearby) chosen.push({ name, country: countries[code] ?? code, latitude, longitude });
+  }
+  return chosen;
+};
+
+// Degrees between two longitudes, across the date line if shorter
+const lonDistance = (a, b) => {
+  const d = Math.abs(a - b) % 360;
+  return d > 180 ? 360 - d : d;
+};
+
+// What the line is crossing at `lon`: the countries it cuts through and the major
+// cities beside it, largest first
+export const crossingNow = (countries, cities, lon) => ({
+  countries: countries
+    .filter(country => country.ranges.some(([west, east]) => lon >= west && lon <= east))
+    .sort((a, b) => b.area - a.area),
+  cities: cities.filter(city => lonDistance(city.longitude, lon) <= NEAR_LINE_DEGREES),
+});
+
+// Every place in the order the wave reaches it: countries as the wave first touches
+// them and major cities at their own solar midnight.
+// [{ key, kind: 'country' | 'city', name, country?, time }], soonest first.
+export const crossingSchedule = (countries, cities, getArrival) => [
+  ...countries.map(country => ({
+    key: `country-${country.name}`,
+    kind: 'country',
+    name: country.name,
+    time: getArrival(country.first),
+  })),
+  ...cities.map(city => ({
+    key: `city-${city.name}-${city.country}`,
+    kind: 'city',
+    name: city.name,
+    country: city.country,
+    time: getArrival(city.longitude),
+  })),
+].sort((a, b) => a.time - b.time);
+
+// The next `count` places in a schedule still to be reached after `now`
+export const upcomingCrossings = (schedule, now, count) => {
+  const next = d3.bisector(place => place.time.toMillis()).right(schedule, now.toMillis());
+  return schedule.slice(next, next + count);
+};
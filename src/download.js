@@ -0,0 +1,9 @@
+// Save a Blob as a file through a temporary link
+export const downloadBlob = (fileName, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,88 @@
+// Offline place search: cities of over 15,000 people from GeoNames, built into
+// cities.json by the `gazetteer` plugin in vite.config.js and fetched on first use.
+// Also parses typed coordinates such as "52.52, 13.40" or "33.9 S 151.2 E".
+
+const GAZETTEER_URL = `${import.meta.env.BASE_URL}cities.json`;
+
+// Case- and accent-insensitive form for matching
+const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+let gazetteerPromise = null;
+
+// { countries, zones, cities, keys }, fetched once (and precached by the service worker).
+// `keys` holds each city's normalized names so searching does not redo it per keystroke.
+export const loadGazetteer = () => {
+  gazetteerPromise ??= fetch(GAZETTEER_URL)
+    .then(response => {
+      if (!response.ok) throw new Error(`Failed to fetch places (${response.status})`);
+      return response.json();
+    })
+    .then(gazetteer => ({
+      ...gazetteer,
+      keys: gazetteer.cities.map(([name, ascii]) => (ascii ? [normalize(name), normalize(ascii)] : [normalize(name)])),
+    }))
+    .catch(err => {
+      gazetteerPromise = null;
+      throw err;
+    });
+  return gazetteerPromise;
+};
+
+// Up to `limit` places for a query like "paris" or "paris, france", largest first:
+// names starting with the query before names merely containing it.
+// Results are locations: { latitude, longitude, name, country, timeZone, population }.
+export const searchCities = ({ countries, zones, cities, keys }, query, limit = 8) => {
+  const [place, region] = query.split(',').map(normalize);
+  if (!place) return [];
+  const inRegion = (code) => !region
+    || code.toLowerCase() === region
+    || normalize(countries[code] ?? '').startsWith(region);
+
+  const starts = [];
+  const contains = [];
+  for (let i = 0; i < cities.length && starts.length < limit; i++) {
+    const names = keys[i];
+    const code = cities[i][2];
+    if (names.some(n => n.startsWith(place))) {
+      if (inRegion(code)) starts.push(cities[i]);
+    } else if (contains.length < limit && names.some(n => n.includes(place)) && inRegion(code)) {
+      contains.push(cities[i]);
+    }
+  }
+
+  return [...starts, ...contains].slice(0, limit).map(([name, , code, lat, lon, zone, population]) => ({
+    latitude: lat,
+    longitude: lon,
+    name,
+    country: countries[code] ?? code,
+    timeZone: zones[zone],
+    population,
+  }));
+};
+
+// "52.52°N, 13.40°E"
+export const formatCoordinates = ({ latitude, longitude }) =>
+  `${Math.abs(latitude).toFixed(2)}°${latitude >= 0 ? 'N' : 'S'}, `
+  + `${Math.abs(longitude).toFixed(2)}°${longitude >= 0 ? 'E' : 'W'}`;
+
+// One coordinate with an optional hemisphere letter, e.g. "-33.9", "33.9S", "33.9° S"
+const COORDINATE = String.raw`([+-]?\d+(?:\.\d+)?)\s*°?\s*([NSEW])?`;
+const COORDINATES = new RegExp(`^${COORDINATE}\\s*[,;\\s]\\s*${COORDINATE}$`, 'i');
+
+// { latitude, longitude } from "lat, lon" text, or null if it is not a valid pair.
+// Hemisphere letters may swap the order ("13.4 E, 52.5 N").
+export const parseCoordinates = (text) => {
+  const match = COORDINATES.exec(text.trim());
+  if (!match) return null;
+  const values = [[match[1], match[2]], [match[3], match[4]]].map(([number, hemisphere]) => {
+    const letter = hemisphere?.toUpperCase();
+    const sign = letter === 'S' || letter === 'W' ? -1 : 1;
+    return { value: sign * Number(number), isLon: letter === 'E' || letter === 'W', isLat: letter === 'N' || letter === 'S' };
+  });
+  const [first, second] = values[0].isLon || values[1].isLat ? [values[1], values[0]] : values;
+  if (first.isLon || second.isLat) return null;
+  const latitude = first.value;
+  const longitude = second.value;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+};
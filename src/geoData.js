@@ -0,0 +1,62 @@
+import * as topojson from 'topojson-client';
+// Bundled copies of the world topology, emitted as build assets (and precached by the
+// service worker) so the map still loads when the CDN is unreachable
+import bundled110mUrl from 'world-atlas/countries-110m.json?url';
+import bundled50mUrl from 'world-atlas/countries-50m.json?url';
+
+const CDN_BASE = 'https://cdn.jsdelivr.net/npm/world-atlas@2';
+
+// World-scale geometry: CDN first, bundled copy as fallback
+export const GEO_SOURCES = [`${CDN_BASE}/countries-110m.json`, bundled110mUrl];
+
+// Higher-resolution geometry, swapped in once zoomed past `minZoom` (most detailed first).
+// 10m is too large to bundle, so it is CDN-only and cached by the service worker once seen.
+export const GEO_DETAIL_LEVELS = [
+  { minZoom: 12, sources: [`${CDN_BASE}/countries-10m.json`] },
+  { minZoom: 3, sources: [`${CDN_BASE}/countries-50m.json`, bundled50mUrl] },
+];
+
+// Give up on a slow source (e.g. a congested network) and move on to the next one
+const FETCH_TIMEOUT = 8000;
+
+const fetchTopology = async (url) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) throw new Error(`Failed to fetch map data (${response.status})`);
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+// Country features from the first source that responds
+export const loadCountries = async (sources) => {
+  let lastError = new Error('No map data sources');
+  for (const url of sources) {
+    try {
+      const topology = await fetchTopology(url);
+      return topojson.feature(topology, topology.objects.countries);
+    } catch (err) {
+      console.warn(`Map data source failed: ${url}`, err);
+      lastError = err;
+    }
+  }
+  throw lastError;
+};
+
+// Run `task` until it succeeds, waiting 1s, 2s, 4s... between attempts.
+// `onRetry(attempt, delay)` is called before each wait; `isCancelled()` stops early.
+export const retryWithBackoff = async (task, { attempts = 4, baseDelay = 1000, onRetry, isCancelled } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (err) {
+      if (attempt >= attempts || isCancelled?.()) throw err;
+      const delay = baseDelay * 2 ** (attempt - 1);
+      onRetry?.(attempt, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+};
@@ -0,0 +1,136 @@
+import { Fragment, createContext, createElement, useContext, useEffect, useMemo, useState } from 'react';
+import en from './locales/en';
+import de from './locales/de';
+import es from './locales/es';
+import ja from './locales/ja';
+import ar from './locales/ar';
+import { loadStored, saveStored } from './storage';
+
+// Interface languages: message catalogs plus locale-aware date, number and list
+// formatting. Country and city names come from the map data and the gazetteer and
+// stay as they are there.
+//
+// Messages are strings with {placeholders}; a few wrap words in <strong>…</strong>
+// or <em>…</em> for rich(). Anything missing from a catalog falls back to English.
+
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', messages: en },
+  de: { label: 'Deutsch', dir: 'ltr', messages: de },
+  es: { label: 'Español', dir: 'ltr', messages: es },
+  ja: { label: '日本語', dir: 'ltr', messages: ja },
+  ar: { label: 'العربية', dir: 'rtl', messages: ar },
+};
+
+const STORAGE_KEY = 'new-year-wave:locale';
+
+// ?lang= first, then the language chosen on an earlier visit, then the browser's
+export const detectLocale = () => {
+  const requested = new URLSearchParams(window.location.search).get('lang');
+  if (LOCALES[requested]) return requested;
+  const stored = loadStored(STORAGE_KEY);
+  if (LOCALES[stored]) return stored;
+  const preferred = navigator.languages ?? [navigator.language];
+  return preferred.map(tag => tag?.split('-')[0]).find(code => LOCALES[code]) ?? 'en';
+};
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, key) => (key in params ? String(params[key]) : match));
+
+const RICH_TAG = /<(strong|em)>(.*?)<\/\1>/g;
+
+// 24-hour clock everywhere, as the map's UTC times are
+const TIME = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+
+// Translator and formatters for a locale, shared through I18nProvider
+export const createI18n = (locale) => {
+  const { dir, messages } = LOCALES[locale];
+  const t = (key, params = {}) => interpolate(messages[key] ?? en[key] ?? key, params);
+  const numberFormats = new Map();
+  const formatNumber = (value, options = {}) => {
+    const key = JSON.stringify(options);
+    if (!numberFormats.has(key)) numberFormats.set(key, new Intl.NumberFormat(locale, options));
+    return numberFormats.get(key).format(value);
+  };
+  const listFormat = new Intl.ListFormat(locale, { type: 'conjunction' });
+  const format = (dt, options) => dt.setLocale(locale).toLocaleString(options);
+  const twoDigits = (n) => formatNumber(n, { minimumIntegerDigits: 2, useGrouping: false });
+
+  return {
+    locale,
+    dir,
+    t,
+    // Message with <strong>/<em> spans as React nodes
+    rich: (key, params) => {
+      const message = t(key, params);
+      const nodes = [];
+      let last = 0;
+      for (const match of message.matchAll(RICH_TAG)) {
+        nodes.push(message.slice(last, match.index));
+        nodes.push(createElement(Fragment, { key: match.index }, createElement(match[1], null, match[2])));
+        last = match.index + match[0].length;
+      }
+      nodes.push(message.slice(last));
+      return nodes;
+    },
+    formatNumber,
+    formatList: (items) => listFormat.format(items),
+    // "3.89 billion", "3,89 Milliarden", "38.9億"
+    formatPeople: (people) => (people >= 1e6
+      ? formatNumber(people, { notation: 'compact', compactDisplay: 'long', maximumSignificantDigits: 3 })
+      : formatNumber(Math.round(people))),
+    // "1 h 5 min", "23 min" for a number of minutes
+    formatDuration: (minutes) => {
+      const hours = Math.floor(minutes / 60);
+      const rest = minutes % 60;
+      if (!hours) return t('duration.minutes', { minutes: formatNumber(rest) });
+      if (!rest) return t('duration.hours', { hours: formatNumber(hours) });
+      return t('duration.hoursMinutes', { hours: formatNumber(hours), minutes: formatNumber(rest) });
+    },
+    // "2d 03:04:05" until an instant
+    formatCountdown: (until, now) => {
+      const diff = until.diff(now, ['days', 'hours', 'minutes', 'seconds']);
+      const clock = [diff.hours, diff.minutes, Math.floor(diff.seconds)].map(twoDigits).join(':');
+      return diff.days > 0 ? `${t('duration.days', { days: formatNumber(diff.days) })} ${clock}` : clock;
+    },
+    // "Dec 31, 23:45"
+    formatDateTime: (dt) => format(dt, { month: 'short', day: 'numeric', ...TIME }),
+    // "23:45"
+    formatTime: (dt) => format(dt, TIME),
+    // "23:45:07"
+    formatClock: (dt) => format(dt, { ...TIME, second: '2-digit' }),
+    // "Dec 31, 23:45:07"
+    formatDateClock: (dt) => format(dt, { month: 'short', day: 'numeric', ...TIME, second: '2-digit' }),
+    // "December 31, 2026"
+    formatDate: (dt) => format(dt, { year: 'numeric', month: 'long', day: 'numeric' }),
+    // "December 31"
+    formatMonthDay: (dt) => format(dt, { month: 'long', day: 'numeric' }),
+    // "Thursday, Dec 31"
+    formatWeekday: (dt) => format(dt, { weekday: 'long', month: 'short', day: 'numeric' }),
+    // "December 31, 23:45"
+    formatLongDateTime: (dt) => format(dt, { month: 'long', day: 'numeric', ...TIME }),
+  };
+};
+
+const I18nContext = createContext(createI18n('en'));
+
+// Holds the interface language for everything inside it and keeps <html lang dir> in
+// step; useI18n() also offers setLocale, which remembers the choice
+export function I18nProvider({ children }) {
+  const [locale, setLocale] = useState(detectLocale);
+  const value = useMemo(() => ({
+    ...createI18n(locale),
+    setLocale: (next) => {
+      setLocale(next);
+      saveStored(STORAGE_KEY, next, ['lang']);
+    },
+  }), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = LOCALES[locale].dir;
+  }, [locale]);
+
+  return createElement(I18nContext.Provider, { value }, children);
+}
+
+export const useI18n = () => useContext(I18nContext);
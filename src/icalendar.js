@@ -0,0 +1,76 @@
+import { DateTime } from 'luxon';
+
+// iCalendar (RFC 5545) text for ics.js: escaping, line folding and the calendar around
+// the events. Headless like wave.js, so the tests can check it under Node.
+//
+// An event is { uid, start (DateTime), summary, description, location?, latitude,
+// longitude, alarms: [minutes before] }. Events are instants: DTSTART in UTC and no end.
+
+const CRLF = '\r\n';
+const encoder = new TextEncoder();
+
+export const utcStamp = (dt) => dt.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+// TEXT values escape backslashes, separators and line breaks (3.3.11)
+export const escapeText = (text) => text
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space (3.1), without
+// splitting a UTF-8 character
+export const fold = (line) => {
+  const parts = [];
+  let part = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(part);
+      part = '';
+      size = 0;
+    }
+    part += char;
+    size += bytes;
+  }
+  parts.push(part);
+  return parts.join(`${CRLF} `);
+};
+
+const trigger = (minutes) => (minutes ? `-PT${minutes}M` : 'PT0S');
+
+const eventLines = (event, stamp) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `DTSTAMP:${stamp}`,
+  `DTSTART:${utcStamp(event.start)}`,
+  `SUMMARY:${escapeText(event.summary)}`,
+  `DESCRIPTION:${escapeText(event.description)}`,
+  ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+  `GEO:${event.latitude.toFixed(4)};${event.longitude.toFixed(4)}`,
+  'TRANSP:TRANSPARENT',
+  ...event.alarms.flatMap(minutes => [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(event.summary)}`,
+    `TRIGGER:${trigger(minutes)}`,
+    'END:VALARM',
+  ]),
+  'END:VEVENT',
+];
+
+// The text of a calendar named `name` holding `events`
+export const toIcs = (name, events) => {
+  const stamp = utcStamp(DateTime.utc());
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//nx10//New Year Wave//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => eventLines(event, stamp)),
+    'END:VCALENDAR',
+  ].map(fold).join(CRLF) + CRLF;
+};
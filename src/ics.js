@@ -0,0 +1,41 @@
+import { zoneAt } from './civilTime';
+import { downloadBlob } from './download';
+import { toIcs, utcStamp } from './icalendar';
+import { ALERT_LEADS } from './useArrivalAlerts';
+
+// Calendar files of the moments the wave reaches places, for your location, pins and
+// countries. The iCalendar text itself comes from icalendar.js.
+
+// The event of the wave reaching a place at `arrival`, worded with `labels` (see
+// eventLabels in App) and `i18n`. The description gives the local clock time there;
+// alarms follow the arrival alerts' lead times.
+export const arrivalEvent = ({ place, latitude, longitude, timeZone, arrival }, labels, { t, formatDateTime }) => {
+  const zone = timeZone ?? zoneAt(latitude, longitude) ?? 'UTC';
+  return {
+    uid: `${utcStamp(arrival)}-${latitude.toFixed(3)}_${longitude.toFixed(3)}@new-year-wave`,
+    start: arrival,
+    summary: t('ics.summary', { name: labels.after, place }),
+    description: t('ics.description', {
+      arrival: labels.arrival,
+      name: labels.name,
+      place,
+      time: formatDateTime(arrival.setZone(zone)),
+      zone,
+    }),
+    location: place,
+    latitude,
+    longitude,
+    alarms: ALERT_LEADS,
+  };
+};
+
+// Download `events` as `fileName`.ics
+export const downloadIcs = (fileName, name, events) => {
+  downloadBlob(`${fileName}.ics`, new Blob([toIcs(name, events)], { type: 'text/calendar' }));
+};
+
+// Download a single arrival event as `fileName`-<place>.ics
+export const downloadArrival = (fileName, event) => {
+  const place = event.location.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+  downloadIcs(place ? `${fileName}-${place}` : fileName, event.summary, [event]);
+};
@@ -0,0 +1,263 @@
+// Arabic messages (keys as in en.js); the interface is laid out right to left
+export default {
+  'app.loading': 'جارٍ تحميل بيانات الخريطة...',
+  'app.retrying': 'مشكلة في الاتصال — إعادة المحاولة خلال {seconds} ث (المحاولة {attempt})',
+  'app.loadFailed': 'تعذّر تحميل الخريطة: {error}',
+  'app.tryAgain': 'حاول مجددًا',
+  'app.language': 'اللغة',
+
+  'arrival.startOf': 'بداية',
+  'arrival.solarMidnight': 'منتصف الليل الشمسي',
+  'labels.title': 'موجة {name}',
+  'labels.newYearTitle': 'موجة رأس السنة',
+  'labels.in': 'في {year}',
+  'labels.peopleIn': 'في {year}',
+  'labels.partiallyIn': 'جزئيًا في {year}',
+  'labels.youreIn': 'أنت في {year}!',
+  'labels.complete': 'اكتملت — {greeting}',
+  'labels.newYearComplete': 'اكتملت — سنة جديدة سعيدة! 🎉',
+  'labels.awaiting': 'في انتظار {name}',
+  'labels.awaitingNewYear': 'في انتظار رأس السنة',
+  'labels.calendarWave': 'موجة {name} ({year})',
+  'labels.newYearWave': 'موجة رأس السنة {year}',
+  'labels.wave': 'موجة {name}',
+  'labels.before': 'قبل {name}',
+  'labels.hasArrived': 'وصل {name}',
+  'labels.peopleReached': 'وصلهم {name}',
+  'labels.partlyArrived': 'وصل {name} جزئيًا',
+  'labels.reachedYou': 'وصلك {name}!',
+  'labels.completeEverywhere': 'اكتملت — {name} في كل مكان! 🎉',
+  'labels.shareCalendar': 'شاهد {name} ({year}) يجتاح الكرة الأرضية مباشرة! 🌍✨',
+  'labels.shareCalendarInstant': 'شاهد {name} ({year}) يبدأ في كل مكان في اللحظة نفسها! 🌍✨',
+  'labels.shareNewYear': 'شاهد رأس السنة {year} يجتاح الكرة الأرضية مباشرة! 🌍✨',
+  'labels.shareEvent': 'شاهد {name} ({date}) يجتاح الكرة الأرضية مباشرة! 🌍✨',
+
+  'calendar.chinese.label': 'رأس السنة القمرية',
+  'calendar.chinese.greeting': 'سنة قمرية سعيدة! 🧧',
+  'calendar.chinese.rule': 'تبدأ مع ثاني محاق بعد الانقلاب الشتوي، بحسب التاريخ في بكين',
+  'calendar.chinese.year': 'عام {animal}',
+  'calendar.persian.label': 'النوروز',
+  'calendar.persian.greeting': 'نوروز مبارك! 🌱',
+  'calendar.persian.rule': 'يبدأ في لحظة الاعتدال الربيعي في مارس',
+  'calendar.persian.year': '{year} هـ.ش',
+  'calendar.islamic.label': 'رأس السنة الهجرية',
+  'calendar.islamic.greeting': 'كل عام وأنتم بخير! 🌙',
+  'calendar.islamic.rule': 'تبدأ حين يمكن للهلال الجديد أن يغرب بعد الشمس في مكة',
+  'calendar.islamic.year': '{year} هـ',
+  'calendar.hebrew.label': 'رأس السنة العبرية',
+  'calendar.hebrew.greeting': 'شانا توفا! 🍎',
+  'calendar.hebrew.rule': 'تبدأ في 1 تشري، المحدد بالمحاق المحسوب (المولد) وقواعد التأجيل',
+  'calendar.hebrew.year': '{year} للخليقة',
+  'animal.Rat': 'الفأر',
+  'animal.Ox': 'الثور',
+  'animal.Tiger': 'النمر',
+  'animal.Rabbit': 'الأرنب',
+  'animal.Dragon': 'التنين',
+  'animal.Snake': 'الأفعى',
+  'animal.Horse': 'الحصان',
+  'animal.Goat': 'الماعز',
+  'animal.Monkey': 'القرد',
+  'animal.Rooster': 'الديك',
+  'animal.Dog': 'الكلب',
+  'animal.Pig': 'الخنزير',
+
+  'header.sweeping': '{name} يجتاح الكرة الأرضية',
+  'header.tracking': 'متابعة وصول {name}',
+  'countdown.yearBegins': 'تبدأ السنة خلال',
+  'countdown.waveStarts': 'تبدأ الموجة خلال',
+
+  'duration.days': '{days} ي',
+  'duration.hours': '{hours} س',
+  'duration.minutes': '{minutes} د',
+  'duration.hoursMinutes': '{hours} س {minutes} د',
+
+  'map.label': 'خريطة العالم تُظهر تقدّم {wave}',
+  'map.you': 'أنت',
+  'map.keys': 'تنقّل مفاتيح الأسهم بين الدول بالترتيب الذي تصلها به الموجة. يعرض مفتاح Enter التفاصيل أو يخفيها، ويغلقها مفتاح Escape.',
+  'tooltip.close': 'إغلاق',
+  'tooltip.placeholder': 'اضغط على دولة لترى موعد منتصف الليل الشمسي فيها',
+  'tooltip.civil': 'منتصف الليل المدني ({zone}):',
+  'tooltip.crossed': '{status} — عبرت {percent}٪',
+  'tooltip.waiting': 'في انتظار {name}',
+  'offset.same': 'مثل منتصف الليل الشمسي',
+  'offset.before': 'قبل منتصف الليل الشمسي بـ{amount}',
+  'offset.after': 'بعد منتصف الليل الشمسي بـ{amount}',
+
+  'time.play': 'تشغيل',
+  'time.pause': 'إيقاف مؤقت',
+  'time.speed': 'سرعة التشغيل',
+  'time.live': '● مباشر',
+  'time.goLive': 'العودة للمباشر',
+  'time.scrubber': 'الوقت المحاكى',
+  'time.utc': '{time} UTC',
+
+  'event.waveToward': 'الموجة نحو',
+  'event.calendar': 'التقويم',
+  'event.aDate': 'تاريخ',
+  'event.name': 'اسم المناسبة',
+  'event.date': 'تاريخ المناسبة',
+  'event.everyYear': 'كل عام',
+  'event.apply': 'تطبيق',
+  'event.backToNewYear': 'العودة إلى رأس السنة',
+
+  'status.simulated': 'محاكاة',
+  'status.crossing': 'تعبر {places}',
+  'status.openWater': 'تعبر المياه المفتوحة',
+  'status.almost': 'اقتربنا...',
+  'status.soon': 'الموجة تبدأ قريبًا',
+  'status.awaitingStart': 'في انتظار بدء الموجة',
+  'status.midnightIn': '{arrival} في {places}',
+  'status.complete': 'اكتمل {percent}٪',
+  'status.people': '{percent}٪ من الناس',
+
+  'upNext.heading': 'التالي',
+  'upNext.enters': 'تدخلها الموجة',
+  'upNext.in': 'خلال {countdown}',
+
+  'people.label': 'الناس الذين وصلتهم الموجة',
+  'people.headline': 'نحو <strong>{people}</strong> شخص · <strong>{percent}٪</strong> من البشرية {phrase}',
+  'people.chart': 'الناس الذين وصلتهم الموجة على مدى مسارها',
+  'people.note': 'من شبكة السكان Gridded Population of the World ‏(GPW v4) التابعة لـ NASA SEDAC، مجمّعة في خلايا بحجم 1°',
+  'continent.AF': 'أفريقيا',
+  'continent.AN': 'القارة القطبية الجنوبية',
+  'continent.AS': 'آسيا',
+  'continent.EU': 'أوروبا',
+  'continent.NA': 'أمريكا الشمالية',
+  'continent.OC': 'أوقيانوسيا',
+  'continent.SA': 'أمريكا الجنوبية',
+
+  'announce.started': 'بدأت {wave} عند خط التاريخ الدولي.',
+  'announce.continent': 'وصلت {wave} إلى {continent}.',
+
+  'location.find': 'حدّد موقعي',
+  'location.finding': 'جارٍ تحديد موقعك...',
+  'location.yours': 'موقعك',
+  'location.alertName': 'موقعك',
+  'location.arrivalForYou': '{arrival} {name} لديك:',
+  'location.localTime': '({time} بالتوقيت المحلي)',
+  'location.waiting': '⏳ في انتظار {name}...',
+  'location.pin': '📌 ثبّت هذا المكان',
+  'location.pinned': 'مثبّت',
+  'location.dragHint': 'اسحب علامة «أنت» على الخريطة لضبطها',
+  'location.unsupported': 'متصفحك لا يدعم تحديد الموقع الجغرافي',
+  'location.failed': 'تعذّر تحديد موقعك',
+
+  'search.placeholder': 'ابحث عن مدينة أو أدخل خط العرض، خط الطول',
+  'search.label': 'ابحث عن مدينة أو أدخل الإحداثيات',
+  'search.goTo': 'انتقل إلى {coordinates}',
+  'search.pin': 'ثبّت {place}',
+  'search.unavailable': 'البحث عن المدن غير متاح — أدخل الإحداثيات بدلًا من ذلك',
+
+  'alerts.group': 'تنبيهات الوصول',
+  'alerts.on': '🔔 التنبيهات مفعّلة',
+  'alerts.notify': '🔕 نبّهني',
+  'alerts.lead': 'قبل {lead}',
+  'alerts.atCrossing': 'عند العبور',
+  'alerts.chime': 'رنين عند العبور',
+  'alerts.unsupported': 'هذا المتصفح لا يدعم الإشعارات',
+  'alerts.denied': 'الإشعارات محظورة في إعدادات متصفحك',
+  'alerts.noPlaces': 'حدّد موقعك أو ثبّت مكانًا لتصلك التنبيهات',
+  'alerts.simulated': 'تتوقف الإشعارات أثناء محاكاة الساعة',
+  'alerts.active': 'لا تصل التنبيهات إلا ما دامت علامة التبويب هذه مفتوحة؛ إغلاقها أو تعليق المتصفح لها يوقفها',
+  'alerts.activeBackground': 'التنبيهات مجدولة في متصفحك وتصل حتى بعد إغلاق هذه الصفحة',
+  'alerts.soon': '{place}: {name} خلال {lead}',
+  'alerts.arrived': '{place}: {arrived} 🎉',
+  'alerts.body': '{arrival} {name} الساعة {time} بالتوقيت المحلي',
+
+  'pins.heading': 'الأماكن المثبّتة',
+  'pins.name': 'اسم المكان',
+  'pins.up': 'نقل {name} لأعلى',
+  'pins.down': 'نقل {name} لأسفل',
+  'pins.remove': 'إزالة {name}',
+  'pins.arrival': '{arrival} {name}:',
+  'pins.countdown': '⏳ {name} خلال {countdown}',
+
+  'ics.add': '📅 أضف إلى التقويم',
+  'ics.addPlace': 'أضف {place} إلى التقويم',
+  'ics.summary': '{name} يصل إلى {place}',
+  'ics.description': '{arrival} {name} في {place}، الساعة {time} بالتوقيت المحلي ({zone}).',
+
+  'options.projection': 'الإسقاط',
+  'options.resetZoom': 'إعادة ضبط التكبير ({zoom}×)',
+  'options.followLine': 'تتبّع الخط',
+  'options.followLineHint': 'اسحب الكرة الأرضية لتدويرها يدويًا',
+  'options.solarTime': 'التوقيت الشمسي',
+  'options.mean': 'التوقيت الشمسي المتوسط',
+  'options.apparent': 'التوقيت الشمسي الظاهري',
+  'options.dayNight': 'نهار / ليل',
+  'options.civil': 'طبقة منتصف الليل المدني',
+  'projection.equirectangular': 'متساوي المسافات الأسطواني',
+  'projection.naturalEarth': 'ناتشورال إيرث',
+  'projection.robinson': 'روبنسون',
+  'projection.globe': 'كرة أرضية',
+  'projection.polar': 'القطب الشمالي',
+
+  'legend.midnight': 'منتصف الليل الشمسي',
+  'legend.night': 'شفق / ليل',
+  'legend.sun': 'الشمس في السمت',
+  'legend.civil': 'الساعات بعد منتصف الليل',
+
+  'theme.group': 'الألوان',
+  'theme.label': 'السمة',
+  'theme.auto': 'مثل النظام',
+  'theme.dark': 'داكنة',
+  'theme.light': 'فاتحة',
+  'theme.contrast': 'تباين عالٍ',
+  'theme.colorblind': 'مناسبة لعمى الألوان',
+  'theme.reset': 'إعادة تعيين الألوان',
+
+  'export.group': 'تصدير الخريطة',
+  'export.size': 'حجم التصدير',
+  'export.savePng': 'حفظ PNG',
+  'export.saveSvg': 'حفظ SVG',
+  'export.saving': 'جارٍ الحفظ…',
+  'export.timelapse': 'تسجيل فيديو متسارع',
+  'export.timelapseHint': 'يعرض الموجة كاملة من العرض الحالي',
+  'export.recording': 'جارٍ التسجيل {percent}٪ — إلغاء',
+  'export.noVideo': 'هذا المتصفح لا يستطيع تسجيل الفيديو',
+  'export.failed': 'فشل التصدير — يرجى المحاولة مجددًا',
+
+  'timeline.summary': 'الجدول الزمني للدول ({count})',
+  'timeline.filter': 'تصفية الدول',
+  'timeline.statusFilter': 'تصفية حسب الحالة',
+  'timeline.all': 'الكل',
+  'timeline.waiting': 'في الانتظار',
+  'timeline.crossing': 'قيد العبور',
+  'timeline.crossed': 'عبرت {percent}٪',
+  'timeline.exportCsv': 'تصدير CSV',
+  'timeline.exportJson': 'تصدير JSON',
+  'timeline.exportIcs': 'تصدير التقويم',
+  'timeline.country': 'الدولة',
+  'timeline.midnight': 'منتصف الليل الشمسي (UTC)',
+  'timeline.local': 'التوقيت المحلي',
+  'timeline.first': 'أول عبور',
+  'timeline.last': 'آخر عبور',
+  'timeline.status': 'الحالة',
+  'timeline.remaining': 'المتبقي',
+  'timeline.show': 'إظهار على الخريطة',
+  'timeline.empty': 'لا توجد دول مطابقة',
+
+  'explain.calendarInstant': '<strong>{name}</strong> {rule}، لذا تبدأ {year} في كل مكان في اللحظة نفسها: {time} بتوقيتك.',
+  'explain.calendarDate': '<strong>{name}</strong> {rule}؛ وتوافق {year} يوم {date}.',
+  'explain.newYear': 'يعرض هذا <strong>السنة الجديدة الفلكية</strong> — حين يعبر <em>منتصف الليل الشمسي</em> المحلي (الشمس في أدنى نقطة لها) إلى {date}. تبدأ الموجة عند خط التاريخ الدولي (180°) وتسير <strong>غربًا بنحو 1670 كم/س</strong>، فتدور حول الكرة الأرضية في 24 ساعة.',
+  'explain.event': 'يعرض هذا الوصول الفلكي لـ<strong>{name}</strong> — حين يعبر <em>منتصف الليل الشمسي</em> المحلي (الشمس في أدنى نقطة لها) إلى {date}. تبدأ الموجة عند خط التاريخ الدولي (180°) وتسير <strong>غربًا بنحو 1670 كم/س</strong>، فتدور حول الكرة الأرضية في 24 ساعة.',
+  'explain.twilight': 'تُظهر القبعات المظللة الشفق المدني والبحري والفلكي والليل الكامل. قرب الانقلابين تبقى إحدى المنطقتين القطبيتين في ليل متواصل والأخرى في نهار متواصل، لذا فإن «منتصف الليل» الشمسي قرب القطبين موضع للشمس لا سماء مظلمة.',
+  'explain.showingMean': 'يُعرض منتصف الليل الشمسي المتوسط',
+  'explain.showingApparent': 'يُعرض منتصف الليل الشمسي الظاهري',
+  'explain.eotBehind': '{showing} — الشمس الحقيقية حاليًا <strong>متأخرة {minutes} د</strong> عن التوقيت المتوسط (معادلة الزمن)، لذا يأتي منتصف الليل الظاهري بعد المتوسط بـ{minutes} د.',
+  'explain.eotAhead': '{showing} — الشمس الحقيقية حاليًا <strong>متقدمة {minutes} د</strong> على التوقيت المتوسط (معادلة الزمن)، لذا يأتي منتصف الليل الظاهري قبل المتوسط بـ{minutes} د.',
+  'explain.timezone': 'هل تبحث عن منتصف الليل بحسب المناطق الزمنية؟',
+  'explain.timezoneLink': 'اعرض خريطة رأس السنة بحسب المناطق الزمنية ←',
+
+  'share.label': 'شارك مع الأصدقاء',
+  'share.share': 'مشاركة',
+  'share.copied': 'تم النسخ!',
+  'share.post': 'نشر',
+  'share.begins': 'تبدأ {year} الساعة {time} بالتوقيت المحلي{where}.',
+  'share.midnightWas': 'كان منتصف الليل الشمسي لديّ الساعة {time} بالتوقيت المحلي{where}.',
+  'share.midnightIs': 'منتصف الليل الشمسي لديّ الساعة {time} بالتوقيت المحلي{where}.',
+  'share.where': ' في {place}',
+
+  'footer.tagline': 'تصوير مباشر لمنتصف الليل الشمسي',
+  'footer.madeBy': 'من إعداد',
+};
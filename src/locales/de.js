@@ -0,0 +1,263 @@
+// German messages (keys as in en.js)
+export default {
+  'app.loading': 'Kartendaten werden geladen...',
+  'app.retrying': 'Verbindungsprobleme — neuer Versuch in {seconds} s (Versuch {attempt})',
+  'app.loadFailed': 'Karte konnte nicht geladen werden: {error}',
+  'app.tryAgain': 'Erneut versuchen',
+  'app.language': 'Sprache',
+
+  'arrival.startOf': 'Beginn von',
+  'arrival.solarMidnight': 'Sonnenmitternacht',
+  'labels.title': '{name}-Welle',
+  'labels.newYearTitle': 'Neujahrswelle',
+  'labels.in': 'In {year}',
+  'labels.peopleIn': 'sind in {year}',
+  'labels.partiallyIn': 'Teilweise in {year}',
+  'labels.youreIn': 'Du bist in {year}!',
+  'labels.complete': 'Abgeschlossen — {greeting}',
+  'labels.newYearComplete': 'Abgeschlossen — Frohes neues Jahr! 🎉',
+  'labels.awaiting': 'Warten auf {name}',
+  'labels.awaitingNewYear': 'Warten auf Neujahr',
+  'labels.calendarWave': '{name}-Welle ({year})',
+  'labels.newYearWave': 'Neujahrswelle {year}',
+  'labels.wave': '{name}-Welle',
+  'labels.before': 'Vor {name}',
+  'labels.hasArrived': '{name} ist da',
+  'labels.peopleReached': 'hat {name} erreicht',
+  'labels.partlyArrived': '{name} teilweise da',
+  'labels.reachedYou': '{name} hat dich erreicht!',
+  'labels.completeEverywhere': 'Abgeschlossen — überall {name}! 🎉',
+  'labels.shareCalendar': 'Sieh zu, wie {name} ({year}) in Echtzeit um den Globus zieht! 🌍✨',
+  'labels.shareCalendarInstant': 'Sieh zu, wie {name} ({year}) überall gleichzeitig beginnt! 🌍✨',
+  'labels.shareNewYear': 'Sieh zu, wie das Jahr {year} in Echtzeit um den Globus zieht! 🌍✨',
+  'labels.shareEvent': 'Sieh zu, wie {name} ({date}) in Echtzeit um den Globus zieht! 🌍✨',
+
+  'calendar.chinese.label': 'Mondneujahr',
+  'calendar.chinese.greeting': 'Frohes Mondneujahr! 🧧',
+  'calendar.chinese.rule': 'beginnt mit dem zweiten Neumond nach der Wintersonnenwende, nach dem Datum in Peking',
+  'calendar.chinese.year': 'Jahr {animal}',
+  'calendar.persian.label': 'Nouruz',
+  'calendar.persian.greeting': 'Nouruz Mobarak! 🌱',
+  'calendar.persian.rule': 'beginnt im Augenblick der März-Tagundnachtgleiche',
+  'calendar.persian.year': '{year} SH',
+  'calendar.islamic.label': 'Islamisches Neujahr',
+  'calendar.islamic.greeting': 'Frohes islamisches Neujahr! 🌙',
+  'calendar.islamic.rule': 'beginnt, sobald die neue Mondsichel in Mekka nach der Sonne untergehen kann',
+  'calendar.islamic.year': '{year} n. H.',
+  'calendar.hebrew.label': 'Rosch ha-Schana',
+  'calendar.hebrew.greeting': 'Schana Tova! 🍎',
+  'calendar.hebrew.rule': 'beginnt am 1. Tischri, festgelegt durch den berechneten Neumond (Molad) und die Verschiebungsregeln',
+  'calendar.hebrew.year': '{year} AM',
+  'animal.Rat': 'der Ratte',
+  'animal.Ox': 'des Büffels',
+  'animal.Tiger': 'des Tigers',
+  'animal.Rabbit': 'des Hasen',
+  'animal.Dragon': 'des Drachen',
+  'animal.Snake': 'der Schlange',
+  'animal.Horse': 'des Pferdes',
+  'animal.Goat': 'der Ziege',
+  'animal.Monkey': 'des Affen',
+  'animal.Rooster': 'des Hahns',
+  'animal.Dog': 'des Hundes',
+  'animal.Pig': 'des Schweins',
+
+  'header.sweeping': '{name} zieht um den Globus',
+  'header.tracking': 'Unterwegs zu {name}',
+  'countdown.yearBegins': 'Das Jahr beginnt in',
+  'countdown.waveStarts': 'Die Welle startet in',
+
+  'duration.days': '{days} T',
+  'duration.hours': '{hours} Std.',
+  'duration.minutes': '{minutes} Min.',
+  'duration.hoursMinutes': '{hours} Std. {minutes} Min.',
+
+  'map.label': 'Weltkarte mit dem Fortschritt der {wave}',
+  'map.you': 'DU',
+  'map.keys': 'Mit den Pfeiltasten wechselst du zwischen den Ländern in der Reihenfolge, in der die Welle sie erreicht. Eingabe blendet Details ein oder aus, Escape schließt sie.',
+  'tooltip.close': 'Schließen',
+  'tooltip.placeholder': 'Tippe auf ein Land, um seine Sonnenmitternacht zu sehen',
+  'tooltip.civil': 'Bürgerliche Mitternacht ({zone}):',
+  'tooltip.crossed': '{status} — {percent} % überquert',
+  'tooltip.waiting': 'Wartet auf {name}',
+  'offset.same': 'gleich der Sonnenmitternacht',
+  'offset.before': '{amount} vor der Sonnenmitternacht',
+  'offset.after': '{amount} nach der Sonnenmitternacht',
+
+  'time.play': 'Abspielen',
+  'time.pause': 'Pause',
+  'time.speed': 'Wiedergabegeschwindigkeit',
+  'time.live': '● Live',
+  'time.goLive': 'Zu live',
+  'time.scrubber': 'Simulierte Zeit',
+  'time.utc': '{time} UTC',
+
+  'event.waveToward': 'Welle bis',
+  'event.calendar': 'Kalender',
+  'event.aDate': 'Ein Datum',
+  'event.name': 'Name des Ereignisses',
+  'event.date': 'Datum des Ereignisses',
+  'event.everyYear': 'Jedes Jahr',
+  'event.apply': 'Übernehmen',
+  'event.backToNewYear': 'Zurück zu Neujahr',
+
+  'status.simulated': 'Simuliert',
+  'status.crossing': 'Überquert {places}',
+  'status.openWater': 'Überquert offenes Meer',
+  'status.almost': 'Gleich ist es so weit...',
+  'status.soon': 'Die Welle startet bald',
+  'status.awaitingStart': 'Warten auf den Start der Welle',
+  'status.midnightIn': '{arrival} in {places}',
+  'status.complete': '{percent} % abgeschlossen',
+  'status.people': '{percent} % der Menschen',
+
+  'upNext.heading': 'Als Nächstes',
+  'upNext.enters': 'Welle erreicht',
+  'upNext.in': 'in {countdown}',
+
+  'people.label': 'Erreichte Menschen',
+  'people.headline': 'Etwa <strong>{people}</strong> Menschen · <strong>{percent} %</strong> der Menschheit {phrase}',
+  'people.chart': 'Erreichte Menschen im Verlauf der Welle',
+  'people.note': 'Aus dem Bevölkerungsraster Gridded Population of the World (GPW v4) der NASA SEDAC, in 1°-Zellen zusammengefasst',
+  'continent.AF': 'Afrika',
+  'continent.AN': 'Antarktis',
+  'continent.AS': 'Asien',
+  'continent.EU': 'Europa',
+  'continent.NA': 'Nordamerika',
+  'continent.OC': 'Ozeanien',
+  'continent.SA': 'Südamerika',
+
+  'announce.started': 'Die {wave} hat an der Datumsgrenze begonnen.',
+  'announce.continent': 'Die {wave} hat {continent} erreicht.',
+
+  'location.find': 'Meinen Standort finden',
+  'location.finding': 'Standort wird ermittelt...',
+  'location.yours': 'Dein Standort',
+  'location.alertName': 'Dein Standort',
+  'location.arrivalForYou': '{arrival} {name} für dich:',
+  'location.localTime': '({time} Ortszeit)',
+  'location.waiting': '⏳ Warten auf {name}...',
+  'location.pin': '📌 Diesen Ort anheften',
+  'location.pinned': 'Angeheftet',
+  'location.dragHint': 'Ziehe die DU-Markierung auf der Karte, um sie anzupassen',
+  'location.unsupported': 'Dein Browser unterstützt keine Standortbestimmung',
+  'location.failed': 'Dein Standort konnte nicht ermittelt werden',
+
+  'search.placeholder': 'Stadt suchen oder Breite, Länge eingeben',
+  'search.label': 'Stadt suchen oder Koordinaten eingeben',
+  'search.goTo': 'Gehe zu {coordinates}',
+  'search.pin': '{place} anheften',
+  'search.unavailable': 'Die Stadtsuche ist nicht verfügbar — gib stattdessen Koordinaten ein',
+
+  'alerts.group': 'Ankunftshinweise',
+  'alerts.on': '🔔 Hinweise an',
+  'alerts.notify': '🔕 Benachrichtigen',
+  'alerts.lead': '{lead} vorher',
+  'alerts.atCrossing': 'Beim Überqueren',
+  'alerts.chime': 'Glockenton beim Überqueren',
+  'alerts.unsupported': 'Dieser Browser unterstützt keine Benachrichtigungen',
+  'alerts.denied': 'Benachrichtigungen sind in deinen Browsereinstellungen blockiert',
+  'alerts.noPlaces': 'Lege deinen Standort fest oder hefte einen Ort an, um Hinweise zu erhalten',
+  'alerts.simulated': 'Benachrichtigungen pausieren, solange die Uhr simuliert wird',
+  'alerts.active': 'Hinweise kommen nur, solange dieser Tab geöffnet bleibt; schließt du ihn oder pausiert der Browser ihn, bleiben sie aus',
+  'alerts.activeBackground': 'Hinweise sind bei deinem Browser eingeplant und kommen auch, wenn diese Seite geschlossen ist',
+  'alerts.soon': '{place}: {name} in {lead}',
+  'alerts.arrived': '{place}: {arrived} 🎉',
+  'alerts.body': '{arrival} {name} um {time} Ortszeit',
+
+  'pins.heading': 'Angeheftete Orte',
+  'pins.name': 'Name des Orts',
+  'pins.up': '{name} nach oben',
+  'pins.down': '{name} nach unten',
+  'pins.remove': '{name} entfernen',
+  'pins.arrival': '{arrival} {name}:',
+  'pins.countdown': '⏳ {name} in {countdown}',
+
+  'ics.add': '📅 Zum Kalender hinzufügen',
+  'ics.addPlace': '{place} zum Kalender hinzufügen',
+  'ics.summary': '{name} erreicht {place}',
+  'ics.description': '{arrival} {name} in {place}, um {time} Ortszeit ({zone}).',
+
+  'options.projection': 'Projektion',
+  'options.resetZoom': 'Zoom zurücksetzen ({zoom}×)',
+  'options.followLine': 'Linie folgen',
+  'options.followLineHint': 'Ziehe den Globus, um ihn von Hand zu drehen',
+  'options.solarTime': 'Sonnenzeit',
+  'options.mean': 'Mittlere Sonnenzeit',
+  'options.apparent': 'Wahre Sonnenzeit',
+  'options.dayNight': 'Tag / Nacht',
+  'options.civil': 'Ebene bürgerliche Mitternacht',
+  'projection.equirectangular': 'Plattkarte',
+  'projection.naturalEarth': 'Natural Earth',
+  'projection.robinson': 'Robinson',
+  'projection.globe': 'Globus',
+  'projection.polar': 'Nordpol',
+
+  'legend.midnight': 'Sonnenmitternacht',
+  'legend.night': 'Dämmerung / Nacht',
+  'legend.sun': 'Sonne im Zenit',
+  'legend.civil': 'Uhren nach Mitternacht',
+
+  'theme.group': 'Farben',
+  'theme.label': 'Farbschema',
+  'theme.auto': 'Wie das System',
+  'theme.dark': 'Dunkel',
+  'theme.light': 'Hell',
+  'theme.contrast': 'Hoher Kontrast',
+  'theme.colorblind': 'Farbenblind-freundlich',
+  'theme.reset': 'Farben zurücksetzen',
+
+  'export.group': 'Karte exportieren',
+  'export.size': 'Exportgröße',
+  'export.savePng': 'PNG speichern',
+  'export.saveSvg': 'SVG speichern',
+  'export.saving': 'Wird gespeichert…',
+  'export.timelapse': 'Zeitraffer aufnehmen',
+  'export.timelapseHint': 'Rendert die ganze Welle in der aktuellen Ansicht',
+  'export.recording': 'Aufnahme {percent} % — Abbrechen',
+  'export.noVideo': 'Dieser Browser kann keine Videos aufnehmen',
+  'export.failed': 'Export fehlgeschlagen — bitte erneut versuchen',
+
+  'timeline.summary': 'Zeitleiste der Länder ({count})',
+  'timeline.filter': 'Länder filtern',
+  'timeline.statusFilter': 'Nach Status filtern',
+  'timeline.all': 'Alle',
+  'timeline.waiting': 'Wartet',
+  'timeline.crossing': 'Wird überquert',
+  'timeline.crossed': '{percent} % überquert',
+  'timeline.exportCsv': 'CSV exportieren',
+  'timeline.exportJson': 'JSON exportieren',
+  'timeline.exportIcs': 'Kalender exportieren',
+  'timeline.country': 'Land',
+  'timeline.midnight': 'Sonnenmitternacht (UTC)',
+  'timeline.local': 'Ortszeit',
+  'timeline.first': 'Erste Überquerung',
+  'timeline.last': 'Letzte Überquerung',
+  'timeline.status': 'Status',
+  'timeline.remaining': 'Verbleibend',
+  'timeline.show': 'Auf der Karte zeigen',
+  'timeline.empty': 'Keine passenden Länder',
+
+  'explain.calendarInstant': '<strong>{name}</strong> {rule}, daher beginnt {year} überall im selben Moment: {time} deiner Zeit.',
+  'explain.calendarDate': '<strong>{name}</strong> {rule}; {year} fällt auf den {date}.',
+  'explain.newYear': 'Hier siehst du das <strong>astronomische neue Jahr</strong> — wenn die örtliche <em>Sonnenmitternacht</em> (die Sonne an ihrem tiefsten Punkt) in den {date} übergeht. Die Welle beginnt an der Datumsgrenze (180°) und wandert <strong>mit ~1.670 km/h nach Westen</strong>; in 24 Stunden umrundet sie den Globus.',
+  'explain.event': 'Hier siehst du die astronomische Ankunft von <strong>{name}</strong> — wenn die örtliche <em>Sonnenmitternacht</em> (die Sonne an ihrem tiefsten Punkt) in den {date} übergeht. Die Welle beginnt an der Datumsgrenze (180°) und wandert <strong>mit ~1.670 km/h nach Westen</strong>; in 24 Stunden umrundet sie den Globus.',
+  'explain.twilight': 'Die schattierten Kappen zeigen bürgerliche, nautische und astronomische Dämmerung sowie volle Nacht. Um die Sonnenwenden liegt eine Polarregion in durchgehender Nacht und die andere in durchgehendem Tag, daher ist „Mitternacht“ nahe den Polen eine Stellung der Sonne, kein dunkler Himmel.',
+  'explain.showingMean': 'Angezeigt wird die mittlere Sonnenmitternacht',
+  'explain.showingApparent': 'Angezeigt wird die wahre Sonnenmitternacht',
+  'explain.eotBehind': '{showing} — die wahre Sonne geht derzeit <strong>{minutes} Min. nach</strong> gegenüber der mittleren Zeit (Zeitgleichung), daher liegt die wahre Mitternacht {minutes} Min. nach der mittleren.',
+  'explain.eotAhead': '{showing} — die wahre Sonne geht derzeit <strong>{minutes} Min. vor</strong> gegenüber der mittleren Zeit (Zeitgleichung), daher liegt die wahre Mitternacht {minutes} Min. vor der mittleren.',
+  'explain.timezone': 'Suchst du stattdessen Mitternacht nach Zeitzonen?',
+  'explain.timezoneLink': 'Zur Neujahrskarte nach Zeitzonen →',
+
+  'share.label': 'Mit Freunden teilen',
+  'share.share': 'Teilen',
+  'share.copied': 'Kopiert!',
+  'share.post': 'Posten',
+  'share.begins': '{year} beginnt um {time} Ortszeit{where}.',
+  'share.midnightWas': 'Meine Sonnenmitternacht war um {time} Ortszeit{where}.',
+  'share.midnightIs': 'Meine Sonnenmitternacht ist um {time} Ortszeit{where}.',
+  'share.where': ' in {place}',
+
+  'footer.tagline': 'Sonnenmitternacht in Echtzeit',
+  'footer.madeBy': 'Von',
+};
@@ -0,0 +1,265 @@
+// English messages, the reference catalog: every key used in the app is defined here
+export default {
+  'app.loading': 'Loading map data...',
+  'app.retrying': 'Connection trouble — retrying in {seconds}s (attempt {attempt})',
+  'app.loadFailed': 'Failed to load map: {error}',
+  'app.tryAgain': 'Try Again',
+  'app.language': 'Language',
+
+  // Wording for the tracked event (see eventLabels in App)
+  'arrival.startOf': 'Start of',
+  'arrival.solarMidnight': 'Solar midnight',
+  'labels.title': '{name} Wave',
+  'labels.newYearTitle': 'New Year Wave',
+  'labels.in': 'In {year}',
+  'labels.peopleIn': 'are in {year}',
+  'labels.partiallyIn': 'Partially in {year}',
+  'labels.youreIn': "You're in {year}!",
+  'labels.complete': 'Complete — {greeting}',
+  'labels.newYearComplete': 'Complete — Happy New Year! 🎉',
+  'labels.awaiting': 'Awaiting {name}',
+  'labels.awaitingNewYear': 'Awaiting New Year',
+  'labels.calendarWave': '{name} ({year}) wave',
+  'labels.newYearWave': '{year} new year wave',
+  'labels.wave': '{name} wave',
+  'labels.before': 'Before {name}',
+  'labels.hasArrived': '{name} has arrived',
+  'labels.peopleReached': 'have reached {name}',
+  'labels.partlyArrived': '{name} partly arrived',
+  'labels.reachedYou': '{name} has reached you!',
+  'labels.completeEverywhere': 'Complete — {name} everywhere! 🎉',
+  'labels.shareCalendar': 'Watch {name} ({year}) sweep across the globe in real-time! 🌍✨',
+  'labels.shareCalendarInstant': 'Watch {name} ({year}) arrive everywhere at once! 🌍✨',
+  'labels.shareNewYear': 'Watch the {year} New Year sweep across the globe in real-time! 🌍✨',
+  'labels.shareEvent': 'Watch {name} ({date}) sweep across the globe in real-time! 🌍✨',
+
+  'calendar.chinese.label': 'Lunar New Year',
+  'calendar.chinese.greeting': 'Happy Lunar New Year! 🧧',
+  'calendar.chinese.rule': 'starts with the second new moon after the winter solstice, by the date in Beijing',
+  'calendar.chinese.year': 'Year of the {animal}',
+  'calendar.persian.label': 'Nowruz',
+  'calendar.persian.greeting': 'Nowruz Mobarak! 🌱',
+  'calendar.persian.rule': 'begins at the instant of the March equinox',
+  'calendar.persian.year': '{year} SH',
+  'calendar.islamic.label': 'Islamic New Year',
+  'calendar.islamic.greeting': 'Happy Islamic New Year! 🌙',
+  'calendar.islamic.rule': 'starts once the new crescent can follow the sun below the horizon at Mecca',
+  'calendar.islamic.year': '{year} AH',
+  'calendar.hebrew.label': 'Rosh Hashanah',
+  'calendar.hebrew.greeting': 'Shana Tova! 🍎',
+  'calendar.hebrew.rule': 'begins on 1 Tishri, fixed by the calculated new moon (molad) and the postponement rules',
+  'calendar.hebrew.year': '{year} AM',
+  'animal.Rat': 'Rat',
+  'animal.Ox': 'Ox',
+  'animal.Tiger': 'Tiger',
+  'animal.Rabbit': 'Rabbit',
+  'animal.Dragon': 'Dragon',
+  'animal.Snake': 'Snake',
+  'animal.Horse': 'Horse',
+  'animal.Goat': 'Goat',
+  'animal.Monkey': 'Monkey',
+  'animal.Rooster': 'Rooster',
+  'animal.Dog': 'Dog',
+  'animal.Pig': 'Pig',
+
+  'header.sweeping': '{name} Sweeping the Globe',
+  'header.tracking': "Tracking {name}'s Arrival",
+  'countdown.yearBegins': 'Year Begins In',
+  'countdown.waveStarts': 'Wave Starts In',
+
+  // Durations
+  'duration.days': '{days}d',
+  'duration.hours': '{hours} h',
+  'duration.minutes': '{minutes} min',
+  'duration.hoursMinutes': '{hours} h {minutes} min',
+
+  'map.label': 'World map showing the progress of the {wave}',
+  'map.you': 'YOU',
+  'map.keys': 'Arrow keys move between countries in the order the wave reaches them. Enter shows or hides details, Escape closes them.',
+  'tooltip.close': 'Close',
+  'tooltip.placeholder': 'Tap a country to see its solar midnight time',
+  'tooltip.civil': 'Civil midnight ({zone}):',
+  'tooltip.crossed': '{status} — {percent}% crossed',
+  'tooltip.waiting': 'Waiting for {name}',
+  'offset.same': 'same as solar midnight',
+  'offset.before': '{amount} before solar midnight',
+  'offset.after': '{amount} after solar midnight',
+
+  'time.play': 'Play',
+  'time.pause': 'Pause',
+  'time.speed': 'Playback speed',
+  'time.live': '● Live',
+  'time.goLive': 'Go Live',
+  'time.scrubber': 'Simulated time',
+  'time.utc': '{time} UTC',
+
+  'event.waveToward': 'Wave toward',
+  'event.calendar': 'Calendar',
+  'event.aDate': 'A date',
+  'event.name': 'Event name',
+  'event.date': 'Event date',
+  'event.everyYear': 'Every year',
+  'event.apply': 'Apply',
+  'event.backToNewYear': 'Back to New Year',
+
+  'status.simulated': 'Simulated',
+  'status.crossing': 'Crossing {places}',
+  'status.openWater': 'Crossing open water',
+  'status.almost': 'Almost There...',
+  'status.soon': 'Wave Starting Soon',
+  'status.awaitingStart': 'Awaiting Wave Start',
+  'status.midnightIn': '{arrival} in {places}',
+  'status.complete': '{percent}% complete',
+  'status.people': '{percent}% of people',
+
+  'upNext.heading': 'Up next',
+  'upNext.enters': 'wave enters',
+  'upNext.in': 'in {countdown}',
+
+  'people.label': 'People reached',
+  'people.headline': 'About <strong>{people}</strong> people · <strong>{percent}%</strong> of humanity {phrase}',
+  'people.chart': 'People reached over the course of the wave',
+  'people.note': 'From NASA SEDAC’s Gridded Population of the World (GPW v4), summed into 1° cells',
+  'continent.AF': 'Africa',
+  'continent.AN': 'Antarctica',
+  'continent.AS': 'Asia',
+  'continent.EU': 'Europe',
+  'continent.NA': 'North America',
+  'continent.OC': 'Oceania',
+  'continent.SA': 'South America',
+
+  'announce.started': 'The {wave} has begun at the date line.',
+  'announce.continent': 'The {wave} has reached {continent}.',
+
+  'location.find': 'Find My Location',
+  'location.finding': 'Finding you...',
+  'location.yours': 'Your Location',
+  'location.alertName': 'Your location',
+  'location.arrivalForYou': '{arrival} {name} for you:',
+  'location.localTime': '({time} local time)',
+  'location.waiting': '⏳ Waiting for {name}...',
+  'location.pin': '📌 Pin this place',
+  'location.pinned': 'Pinned',
+  'location.dragHint': 'Drag the YOU marker on the map to adjust',
+  'location.unsupported': 'Geolocation is not supported by your browser',
+  'location.failed': 'Unable to get your location',
+
+  'search.placeholder': 'Search a city or enter lat, lon',
+  'search.label': 'Search a city or enter coordinates',
+  'search.goTo': 'Go to {coordinates}',
+  'search.pin': 'Pin {place}',
+  'search.unavailable': 'City search is unavailable — enter coordinates instead',
+
+  'alerts.group': 'Arrival alerts',
+  'alerts.on': '🔔 Alerts on',
+  'alerts.notify': '🔕 Notify me',
+  'alerts.lead': '{lead} before',
+  'alerts.atCrossing': 'At crossing',
+  'alerts.chime': 'Chime at crossing',
+  'alerts.unsupported': 'This browser does not support notifications',
+  'alerts.denied': 'Notifications are blocked in your browser settings',
+  'alerts.noPlaces': 'Set your location or pin a place to get alerts',
+  'alerts.simulated': 'Notifications pause while the clock is simulated',
+  'alerts.active': 'Alerts only arrive while this tab stays open; closing it or letting the browser suspend it stops them',
+  'alerts.activeBackground': 'Alerts are scheduled with your browser and arrive even after this page is closed',
+  'alerts.soon': '{place}: {name} in {lead}',
+  'alerts.arrived': '{place}: {arrived} 🎉',
+  'alerts.body': '{arrival} {name} at {time} local time',
+
+  'pins.heading': 'Pinned places',
+  'pins.name': 'Pin name',
+  'pins.up': 'Move {name} up',
+  'pins.down': 'Move {name} down',
+  'pins.remove': 'Remove {name}',
+  'pins.arrival': '{arrival} {name}:',
+  'pins.countdown': '⏳ {name} in {countdown}',
+
+  'ics.add': '📅 Add to calendar',
+  'ics.addPlace': 'Add {place} to calendar',
+  'ics.summary': '{name} reaches {place}',
+  'ics.description': '{arrival} {name} in {place}, at {time} local clock time ({zone}).',
+
+  'options.projection': 'Projection',
+  'options.resetZoom': 'Reset zoom ({zoom}×)',
+  'options.followLine': 'Follow line',
+  'options.followLineHint': 'Drag the globe to rotate it by hand',
+  'options.solarTime': 'Solar time',
+  'options.mean': 'Mean solar time',
+  'options.apparent': 'Apparent solar time',
+  'options.dayNight': 'Day / night',
+  'options.civil': 'Civil midnight layer',
+  'projection.equirectangular': 'Equirectangular',
+  'projection.naturalEarth': 'Natural Earth',
+  'projection.robinson': 'Robinson',
+  'projection.globe': 'Globe',
+  'projection.polar': 'North Pole',
+
+  'legend.midnight': 'Solar Midnight',
+  'legend.night': 'Twilight / Night',
+  'legend.sun': 'Sun overhead',
+  'legend.civil': 'Clocks past midnight',
+
+  'theme.group': 'Colors',
+  'theme.label': 'Theme',
+  'theme.auto': 'Match system',
+  'theme.dark': 'Dark',
+  'theme.light': 'Light',
+  'theme.contrast': 'High contrast',
+  'theme.colorblind': 'Colorblind-safe',
+  'theme.reset': 'Reset colors',
+
+  'export.group': 'Export the map',
+  'export.size': 'Export size',
+  'export.savePng': 'Save PNG',
+  'export.saveSvg': 'Save SVG',
+  'export.saving': 'Saving…',
+  'export.timelapse': 'Record timelapse',
+  'export.timelapseHint': 'Renders the whole wave from the current view',
+  'export.recording': 'Recording {percent}% — Cancel',
+  'export.noVideo': 'This browser cannot record video',
+  'export.failed': 'Export failed — please try again',
+
+  'timeline.summary': 'Country timeline ({count})',
+  'timeline.filter': 'Filter countries',
+  'timeline.statusFilter': 'Filter by status',
+  'timeline.all': 'All',
+  'timeline.waiting': 'Waiting',
+  'timeline.crossing': 'Crossing',
+  'timeline.crossed': '{percent}% crossed',
+  'timeline.exportCsv': 'Export CSV',
+  'timeline.exportJson': 'Export JSON',
+  'timeline.exportIcs': 'Export calendar',
+  'timeline.country': 'Country',
+  'timeline.midnight': 'Solar midnight (UTC)',
+  'timeline.local': 'Local time',
+  'timeline.first': 'First crossing',
+  'timeline.last': 'Last crossing',
+  'timeline.status': 'Status',
+  'timeline.remaining': 'Remaining',
+  'timeline.show': 'Show on the map',
+  'timeline.empty': 'No countries match',
+
+  'explain.calendarInstant': '<strong>{name}</strong> {rule}, so {year} begins everywhere at the same moment: {time} your time.',
+  'explain.calendarDate': '<strong>{name}</strong> {rule}; {year} falls on {date}.',
+  'explain.newYear': 'This shows the <strong>astronomical new year</strong> — when local <em>solar midnight</em> (sun at its lowest point) crosses into {date}. The wave begins at the Date Line (180°) and travels <strong>westward at ~1,670 km/h</strong>, taking 24 hours to circle the globe.',
+  'explain.event': 'This shows the astronomical arrival of <strong>{name}</strong> — when local <em>solar midnight</em> (sun at its lowest point) crosses into {date}. The wave begins at the Date Line (180°) and travels <strong>westward at ~1,670 km/h</strong>, taking 24 hours to circle the globe.',
+  'explain.twilight': 'The shaded caps show civil, nautical and astronomical twilight and full night. Around the solstices one polar region sits in continuous night and the other in continuous daylight, so near the poles solar “midnight” is a position of the sun, not a dark sky.',
+  'explain.showingMean': 'Showing mean solar midnight',
+  'explain.showingApparent': 'Showing apparent solar midnight',
+  'explain.eotBehind': '{showing} — the true sun is currently <strong>{minutes} min behind</strong> mean time (equation of time), so apparent midnight falls {minutes} min later than mean midnight.',
+  'explain.eotAhead': '{showing} — the true sun is currently <strong>{minutes} min ahead of</strong> mean time (equation of time), so apparent midnight falls {minutes} min earlier than mean midnight.',
+  'explain.timezone': 'Looking for timezone-based midnight instead?',
+  'explain.timezoneLink': 'View the timezone new year map →',
+
+  'share.label': 'Share with friends',
+  'share.share': 'Share',
+  'share.copied': 'Copied!',
+  'share.post': 'Post',
+  'share.begins': '{year} begins at {time} local time{where}.',
+  'share.midnightWas': 'My solar midnight was {time} local{where}.',
+  'share.midnightIs': 'My solar midnight is {time} local{where}.',
+  'share.where': ' in {place}',
+
+  'footer.tagline': 'Real-time solar midnight visualization',
+  'footer.madeBy': 'Made by',
+};
@@ -0,0 +1,263 @@
+// Spanish messages (keys as in en.js)
+export default {
+  'app.loading': 'Cargando datos del mapa...',
+  'app.retrying': 'Problemas de conexión — reintentando en {seconds} s (intento {attempt})',
+  'app.loadFailed': 'No se pudo cargar el mapa: {error}',
+  'app.tryAgain': 'Reintentar',
+  'app.language': 'Idioma',
+
+  'arrival.startOf': 'Inicio de',
+  'arrival.solarMidnight': 'Medianoche solar',
+  'labels.title': 'Ola de {name}',
+  'labels.newYearTitle': 'Ola de Año Nuevo',
+  'labels.in': 'En {year}',
+  'labels.peopleIn': 'están en {year}',
+  'labels.partiallyIn': 'Parcialmente en {year}',
+  'labels.youreIn': '¡Estás en {year}!',
+  'labels.complete': 'Completado — {greeting}',
+  'labels.newYearComplete': 'Completado — ¡Feliz Año Nuevo! 🎉',
+  'labels.awaiting': 'Esperando {name}',
+  'labels.awaitingNewYear': 'Esperando el Año Nuevo',
+  'labels.calendarWave': 'ola de {name} ({year})',
+  'labels.newYearWave': 'ola de Año Nuevo {year}',
+  'labels.wave': 'ola de {name}',
+  'labels.before': 'Antes de {name}',
+  'labels.hasArrived': '{name} ha llegado',
+  'labels.peopleReached': 'han alcanzado {name}',
+  'labels.partlyArrived': '{name} ha llegado en parte',
+  'labels.reachedYou': '¡{name} ha llegado hasta ti!',
+  'labels.completeEverywhere': 'Completado — ¡{name} en todas partes! 🎉',
+  'labels.shareCalendar': '¡Mira cómo {name} ({year}) recorre el globo en tiempo real! 🌍✨',
+  'labels.shareCalendarInstant': '¡Mira cómo {name} ({year}) llega a todas partes a la vez! 🌍✨',
+  'labels.shareNewYear': '¡Mira cómo el Año Nuevo {year} recorre el globo en tiempo real! 🌍✨',
+  'labels.shareEvent': '¡Mira cómo {name} ({date}) recorre el globo en tiempo real! 🌍✨',
+
+  'calendar.chinese.label': 'Año Nuevo Lunar',
+  'calendar.chinese.greeting': '¡Feliz Año Nuevo Lunar! 🧧',
+  'calendar.chinese.rule': 'empieza con la segunda luna nueva tras el solsticio de invierno, según la fecha en Pekín',
+  'calendar.chinese.year': 'Año del {animal}',
+  'calendar.persian.label': 'Nowruz',
+  'calendar.persian.greeting': '¡Nowruz Mobarak! 🌱',
+  'calendar.persian.rule': 'empieza en el instante del equinoccio de marzo',
+  'calendar.persian.year': '{year} SH',
+  'calendar.islamic.label': 'Año Nuevo islámico',
+  'calendar.islamic.greeting': '¡Feliz Año Nuevo islámico! 🌙',
+  'calendar.islamic.rule': 'empieza cuando la nueva luna creciente puede ponerse después del sol en La Meca',
+  'calendar.islamic.year': '{year} H.',
+  'calendar.hebrew.label': 'Rosh Hashaná',
+  'calendar.hebrew.greeting': '¡Shaná Tová! 🍎',
+  'calendar.hebrew.rule': 'empieza el 1 de Tishrei, fijado por la luna nueva calculada (molad) y las reglas de aplazamiento',
+  'calendar.hebrew.year': '{year} AM',
+  'animal.Rat': 'Rata',
+  'animal.Ox': 'Buey',
+  'animal.Tiger': 'Tigre',
+  'animal.Rabbit': 'Conejo',
+  'animal.Dragon': 'Dragón',
+  'animal.Snake': 'Serpiente',
+  'animal.Horse': 'Caballo',
+  'animal.Goat': 'Cabra',
+  'animal.Monkey': 'Mono',
+  'animal.Rooster': 'Gallo',
+  'animal.Dog': 'Perro',
+  'animal.Pig': 'Cerdo',
+
+  'header.sweeping': '{name} recorre el globo',
+  'header.tracking': 'Siguiendo la llegada de {name}',
+  'countdown.yearBegins': 'El año empieza en',
+  'countdown.waveStarts': 'La ola empieza en',
+
+  'duration.days': '{days} d',
+  'duration.hours': '{hours} h',
+  'duration.minutes': '{minutes} min',
+  'duration.hoursMinutes': '{hours} h {minutes} min',
+
+  'map.label': 'Mapa del mundo con el avance de la {wave}',
+  'map.you': 'TÚ',
+  'map.keys': 'Las flechas recorren los países en el orden en que los alcanza la ola. Intro muestra u oculta los detalles y Escape los cierra.',
+  'tooltip.close': 'Cerrar',
+  'tooltip.placeholder': 'Toca un país para ver su hora de medianoche solar',
+  'tooltip.civil': 'Medianoche civil ({zone}):',
+  'tooltip.crossed': '{status} — {percent} % cruzado',
+  'tooltip.waiting': 'Esperando {name}',
+  'offset.same': 'igual que la medianoche solar',
+  'offset.before': '{amount} antes de la medianoche solar',
+  'offset.after': '{amount} después de la medianoche solar',
+
+  'time.play': 'Reproducir',
+  'time.pause': 'Pausa',
+  'time.speed': 'Velocidad de reproducción',
+  'time.live': '● En directo',
+  'time.goLive': 'Ir al directo',
+  'time.scrubber': 'Hora simulada',
+  'time.utc': '{time} UTC',
+
+  'event.waveToward': 'Ola hacia',
+  'event.calendar': 'Calendario',
+  'event.aDate': 'Una fecha',
+  'event.name': 'Nombre del evento',
+  'event.date': 'Fecha del evento',
+  'event.everyYear': 'Cada año',
+  'event.apply': 'Aplicar',
+  'event.backToNewYear': 'Volver a Año Nuevo',
+
+  'status.simulated': 'Simulado',
+  'status.crossing': 'Cruzando {places}',
+  'status.openWater': 'Cruzando mar abierto',
+  'status.almost': 'Ya casi...',
+  'status.soon': 'La ola empieza pronto',
+  'status.awaitingStart': 'Esperando el inicio de la ola',
+  'status.midnightIn': '{arrival} en {places}',
+  'status.complete': '{percent} % completado',
+  'status.people': '{percent} % de las personas',
+
+  'upNext.heading': 'A continuación',
+  'upNext.enters': 'entra la ola',
+  'upNext.in': 'en {countdown}',
+
+  'people.label': 'Personas alcanzadas',
+  'people.headline': 'Unas <strong>{people}</strong> personas · el <strong>{percent} %</strong> de la humanidad {phrase}',
+  'people.chart': 'Personas alcanzadas a lo largo de la ola',
+  'people.note': 'A partir de la cuadrícula Gridded Population of the World (GPW v4) de NASA SEDAC, sumada en celdas de 1°',
+  'continent.AF': 'África',
+  'continent.AN': 'Antártida',
+  'continent.AS': 'Asia',
+  'continent.EU': 'Europa',
+  'continent.NA': 'América del Norte',
+  'continent.OC': 'Oceanía',
+  'continent.SA': 'América del Sur',
+
+  'announce.started': 'La {wave} ha comenzado en la línea de cambio de fecha.',
+  'announce.continent': 'La {wave} ha llegado a {continent}.',
+
+  'location.find': 'Buscar mi ubicación',
+  'location.finding': 'Buscándote...',
+  'location.yours': 'Tu ubicación',
+  'location.alertName': 'Tu ubicación',
+  'location.arrivalForYou': '{arrival} {name} para ti:',
+  'location.localTime': '({time} hora local)',
+  'location.waiting': '⏳ Esperando {name}...',
+  'location.pin': '📌 Fijar este lugar',
+  'location.pinned': 'Fijado',
+  'location.dragHint': 'Arrastra el marcador TÚ en el mapa para ajustarlo',
+  'location.unsupported': 'Tu navegador no admite la geolocalización',
+  'location.failed': 'No se pudo obtener tu ubicación',
+
+  'search.placeholder': 'Busca una ciudad o escribe lat, lon',
+  'search.label': 'Busca una ciudad o escribe coordenadas',
+  'search.goTo': 'Ir a {coordinates}',
+  'search.pin': 'Fijar {place}',
+  'search.unavailable': 'La búsqueda de ciudades no está disponible — escribe coordenadas',
+
+  'alerts.group': 'Avisos de llegada',
+  'alerts.on': '🔔 Avisos activados',
+  'alerts.notify': '🔕 Avisarme',
+  'alerts.lead': '{lead} antes',
+  'alerts.atCrossing': 'Al cruzar',
+  'alerts.chime': 'Campanada al cruzar',
+  'alerts.unsupported': 'Este navegador no admite notificaciones',
+  'alerts.denied': 'Las notificaciones están bloqueadas en la configuración del navegador',
+  'alerts.noPlaces': 'Indica tu ubicación o fija un lugar para recibir avisos',
+  'alerts.simulated': 'Las notificaciones se pausan mientras el reloj está simulado',
+  'alerts.active': 'Los avisos solo llegan mientras esta pestaña siga abierta; si la cierras o el navegador la suspende, se detienen',
+  'alerts.activeBackground': 'Los avisos quedan programados en tu navegador y llegan aunque cierres esta página',
+  'alerts.soon': '{place}: {name} en {lead}',
+  'alerts.arrived': '{place}: {arrived} 🎉',
+  'alerts.body': '{arrival} {name} a las {time} hora local',
+
+  'pins.heading': 'Lugares fijados',
+  'pins.name': 'Nombre del lugar',
+  'pins.up': 'Subir {name}',
+  'pins.down': 'Bajar {name}',
+  'pins.remove': 'Quitar {name}',
+  'pins.arrival': '{arrival} {name}:',
+  'pins.countdown': '⏳ {name} en {countdown}',
+
+  'ics.add': '📅 Añadir al calendario',
+  'ics.addPlace': 'Añadir {place} al calendario',
+  'ics.summary': '{name} llega a {place}',
+  'ics.description': '{arrival} {name} en {place}, a las {time} hora local ({zone}).',
+
+  'options.projection': 'Proyección',
+  'options.resetZoom': 'Restablecer zoom ({zoom}×)',
+  'options.followLine': 'Seguir la línea',
+  'options.followLineHint': 'Arrastra el globo para girarlo a mano',
+  'options.solarTime': 'Hora solar',
+  'options.mean': 'Hora solar media',
+  'options.apparent': 'Hora solar aparente',
+  'options.dayNight': 'Día / noche',
+  'options.civil': 'Capa de medianoche civil',
+  'projection.equirectangular': 'Equirrectangular',
+  'projection.naturalEarth': 'Natural Earth',
+  'projection.robinson': 'Robinson',
+  'projection.globe': 'Globo',
+  'projection.polar': 'Polo Norte',
+
+  'legend.midnight': 'Medianoche solar',
+  'legend.night': 'Crepúsculo / noche',
+  'legend.sun': 'Sol en el cenit',
+  'legend.civil': 'Relojes pasada la medianoche',
+
+  'theme.group': 'Colores',
+  'theme.label': 'Tema',
+  'theme.auto': 'Como el sistema',
+  'theme.dark': 'Oscuro',
+  'theme.light': 'Claro',
+  'theme.contrast': 'Alto contraste',
+  'theme.colorblind': 'Apto para daltónicos',
+  'theme.reset': 'Restablecer colores',
+
+  'export.group': 'Exportar el mapa',
+  'export.size': 'Tamaño de exportación',
+  'export.savePng': 'Guardar PNG',
+  'export.saveSvg': 'Guardar SVG',
+  'export.saving': 'Guardando…',
+  'export.timelapse': 'Grabar timelapse',
+  'export.timelapseHint': 'Genera toda la ola desde la vista actual',
+  'export.recording': 'Grabando {percent} % — Cancelar',
+  'export.noVideo': 'Este navegador no puede grabar vídeo',
+  'export.failed': 'No se pudo exportar — inténtalo de nuevo',
+
+  'timeline.summary': 'Cronología por países ({count})',
+  'timeline.filter': 'Filtrar países',
+  'timeline.statusFilter': 'Filtrar por estado',
+  'timeline.all': 'Todos',
+  'timeline.waiting': 'Esperando',
+  'timeline.crossing': 'Cruzando',
+  'timeline.crossed': '{percent} % cruzado',
+  'timeline.exportCsv': 'Exportar CSV',
+  'timeline.exportJson': 'Exportar JSON',
+  'timeline.exportIcs': 'Exportar calendario',
+  'timeline.country': 'País',
+  'timeline.midnight': 'Medianoche solar (UTC)',
+  'timeline.local': 'Hora local',
+  'timeline.first': 'Primer cruce',
+  'timeline.last': 'Último cruce',
+  'timeline.status': 'Estado',
+  'timeline.remaining': 'Restante',
+  'timeline.show': 'Mostrar en el mapa',
+  'timeline.empty': 'Ningún país coincide',
+
+  'explain.calendarInstant': '<strong>{name}</strong> {rule}, así que {year} empieza en todas partes en el mismo momento: {time} en tu hora.',
+  'explain.calendarDate': '<strong>{name}</strong> {rule}; {year} cae el {date}.',
+  'explain.newYear': 'Aquí ves el <strong>año nuevo astronómico</strong> — cuando la <em>medianoche solar</em> local (el sol en su punto más bajo) pasa al {date}. La ola empieza en la línea de cambio de fecha (180°) y viaja <strong>hacia el oeste a ~1670 km/h</strong>, tardando 24 horas en dar la vuelta al globo.',
+  'explain.event': 'Aquí ves la llegada astronómica de <strong>{name}</strong> — cuando la <em>medianoche solar</em> local (el sol en su punto más bajo) pasa al {date}. La ola empieza en la línea de cambio de fecha (180°) y viaja <strong>hacia el oeste a ~1670 km/h</strong>, tardando 24 horas en dar la vuelta al globo.',
+  'explain.twilight': 'Los casquetes sombreados muestran el crepúsculo civil, náutico y astronómico y la noche cerrada. Cerca de los solsticios una región polar está en noche continua y la otra en día continuo, así que cerca de los polos la «medianoche» solar es una posición del sol, no un cielo oscuro.',
+  'explain.showingMean': 'Se muestra la medianoche solar media',
+  'explain.showingApparent': 'Se muestra la medianoche solar aparente',
+  'explain.eotBehind': '{showing} — el sol verdadero va ahora <strong>{minutes} min por detrás</strong> de la hora media (ecuación del tiempo), así que la medianoche aparente llega {minutes} min más tarde que la media.',
+  'explain.eotAhead': '{showing} — el sol verdadero va ahora <strong>{minutes} min por delante</strong> de la hora media (ecuación del tiempo), así que la medianoche aparente llega {minutes} min antes que la media.',
+  'explain.timezone': '¿Buscas la medianoche según los husos horarios?',
+  'explain.timezoneLink': 'Ver el mapa de año nuevo por husos horarios →',
+
+  'share.label': 'Compartir con amigos',
+  'share.share': 'Compartir',
+  'share.copied': '¡Copiado!',
+  'share.post': 'Publicar',
+  'share.begins': '{year} empieza a las {time} hora local{where}.',
+  'share.midnightWas': 'Mi medianoche solar fue a las {time} hora local{where}.',
+  'share.midnightIs': 'Mi medianoche solar es a las {time} hora local{where}.',
+  'share.where': ' en {place}',
+
+  'footer.tagline': 'Visualización de la medianoche solar en tiempo real',
+  'footer.madeBy': 'Hecho por',
+};
@@ -0,0 +1,263 @@
+// Japanese messages (keys as in en.js)
+export default {
+  'app.loading': '地図データを読み込み中...',
+  'app.retrying': '接続に問題があります — {seconds}秒後に再試行します（{attempt}回目）',
+  'app.loadFailed': '地図を読み込めませんでした: {error}',
+  'app.tryAgain': '再試行',
+  'app.language': '言語',
+
+  'arrival.startOf': '開始',
+  'arrival.solarMidnight': '太陽の真夜中',
+  'labels.title': '{name}の波',
+  'labels.newYearTitle': '新年の波',
+  'labels.in': '{year}',
+  'labels.peopleIn': 'が{year}を迎えました',
+  'labels.partiallyIn': '一部が{year}',
+  'labels.youreIn': '{year}を迎えました！',
+  'labels.complete': '完了 — {greeting}',
+  'labels.newYearComplete': '完了 — あけましておめでとう！🎉',
+  'labels.awaiting': '{name}を待っています',
+  'labels.awaitingNewYear': '新年を待っています',
+  'labels.calendarWave': '{name}（{year}）の波',
+  'labels.newYearWave': '{year}年の新年の波',
+  'labels.wave': '{name}の波',
+  'labels.before': '{name}の前',
+  'labels.hasArrived': '{name}が到来',
+  'labels.peopleReached': 'に{name}が到来',
+  'labels.partlyArrived': '{name}が一部到来',
+  'labels.reachedYou': '{name}があなたに届きました！',
+  'labels.completeEverywhere': '完了 — 世界中に{name}！🎉',
+  'labels.shareCalendar': '{name}（{year}）がリアルタイムで地球を巡る様子を見よう！🌍✨',
+  'labels.shareCalendarInstant': '{name}（{year}）が世界中で同時に始まる様子を見よう！🌍✨',
+  'labels.shareNewYear': '{year}年の新年がリアルタイムで地球を巡る様子を見よう！🌍✨',
+  'labels.shareEvent': '{name}（{date}）がリアルタイムで地球を巡る様子を見よう！🌍✨',
+
+  'calendar.chinese.label': '旧正月',
+  'calendar.chinese.greeting': '旧正月おめでとう！🧧',
+  'calendar.chinese.rule': 'は冬至後二度目の新月（北京の日付）に始まります',
+  'calendar.chinese.year': '{animal}年',
+  'calendar.persian.label': 'ノウルーズ',
+  'calendar.persian.greeting': 'ノウルーズ・モバーラク！🌱',
+  'calendar.persian.rule': 'は三月の春分の瞬間に始まります',
+  'calendar.persian.year': '{year} SH',
+  'calendar.islamic.label': 'イスラム新年',
+  'calendar.islamic.greeting': 'イスラム新年おめでとう！🌙',
+  'calendar.islamic.rule': 'はメッカで新しい三日月が太陽より後に沈むようになると始まります',
+  'calendar.islamic.year': 'ヒジュラ暦{year}年',
+  'calendar.hebrew.label': 'ロシュ・ハシャナ',
+  'calendar.hebrew.greeting': 'シャナ・トヴァ！🍎',
+  'calendar.hebrew.rule': 'は計算上の新月（モラド）と延期規則で決まるティシュリー月1日に始まります',
+  'calendar.hebrew.year': 'ユダヤ暦{year}年',
+  'animal.Rat': '子（ねずみ）',
+  'animal.Ox': '丑（うし）',
+  'animal.Tiger': '寅（とら）',
+  'animal.Rabbit': '卯（うさぎ）',
+  'animal.Dragon': '辰（たつ）',
+  'animal.Snake': '巳（へび）',
+  'animal.Horse': '午（うま）',
+  'animal.Goat': '未（ひつじ）',
+  'animal.Monkey': '申（さる）',
+  'animal.Rooster': '酉（とり）',
+  'animal.Dog': '戌（いぬ）',
+  'animal.Pig': '亥（いのしし）',
+
+  'header.sweeping': '{name}が地球を巡っています',
+  'header.tracking': '{name}の到来を追跡中',
+  'countdown.yearBegins': '新年まで',
+  'countdown.waveStarts': '波の開始まで',
+
+  'duration.days': '{days}日',
+  'duration.hours': '{hours}時間',
+  'duration.minutes': '{minutes}分',
+  'duration.hoursMinutes': '{hours}時間{minutes}分',
+
+  'map.label': '{wave}の進行を示す世界地図',
+  'map.you': 'あなた',
+  'map.keys': '矢印キーで波が到達する順に国を移動できます。Enterキーで詳細の表示・非表示、Escキーで閉じます。',
+  'tooltip.close': '閉じる',
+  'tooltip.placeholder': '国をタップすると太陽の真夜中の時刻を表示します',
+  'tooltip.civil': '常用時の真夜中（{zone}）:',
+  'tooltip.crossed': '{status} — {percent}% 通過',
+  'tooltip.waiting': '{name}を待っています',
+  'offset.same': '太陽の真夜中と同時',
+  'offset.before': '太陽の真夜中の{amount}前',
+  'offset.after': '太陽の真夜中の{amount}後',
+
+  'time.play': '再生',
+  'time.pause': '一時停止',
+  'time.speed': '再生速度',
+  'time.live': '● ライブ',
+  'time.goLive': 'ライブへ',
+  'time.scrubber': 'シミュレーション時刻',
+  'time.utc': '{time} UTC',
+
+  'event.waveToward': '波の目標',
+  'event.calendar': '暦',
+  'event.aDate': '日付',
+  'event.name': 'イベント名',
+  'event.date': 'イベントの日付',
+  'event.everyYear': '毎年',
+  'event.apply': '適用',
+  'event.backToNewYear': '新年に戻る',
+
+  'status.simulated': 'シミュレーション',
+  'status.crossing': '{places}を通過中',
+  'status.openWater': '海上を通過中',
+  'status.almost': 'もうすぐです...',
+  'status.soon': 'まもなく波が始まります',
+  'status.awaitingStart': '波の開始を待っています',
+  'status.midnightIn': '{places}で{arrival}',
+  'status.complete': '{percent}% 完了',
+  'status.people': '人口の{percent}%',
+
+  'upNext.heading': 'この次',
+  'upNext.enters': '波が到達',
+  'upNext.in': 'あと{countdown}',
+
+  'people.label': '到達した人口',
+  'people.headline': '約<strong>{people}</strong>人 · 人類の<strong>{percent}%</strong>{phrase}',
+  'people.chart': '波の進行に伴う到達人口',
+  'people.note': 'NASA SEDACの人口グリッドGridded Population of the World(GPW v4)を1°のセルに集計した値です',
+  'continent.AF': 'アフリカ',
+  'continent.AN': '南極',
+  'continent.AS': 'アジア',
+  'continent.EU': 'ヨーロッパ',
+  'continent.NA': '北アメリカ',
+  'continent.OC': 'オセアニア',
+  'continent.SA': '南アメリカ',
+
+  'announce.started': '{wave}が日付変更線から始まりました。',
+  'announce.continent': '{wave}が{continent}に到達しました。',
+
+  'location.find': '現在地を探す',
+  'location.finding': '現在地を取得中...',
+  'location.yours': '現在地',
+  'location.alertName': '現在地',
+  'location.arrivalForYou': 'あなたの{name}の{arrival}:',
+  'location.localTime': '（現地時刻 {time}）',
+  'location.waiting': '⏳ {name}を待っています...',
+  'location.pin': '📌 この場所をピン留め',
+  'location.pinned': 'ピン留め済み',
+  'location.dragHint': '地図上の「あなた」マーカーをドラッグして調整できます',
+  'location.unsupported': 'お使いのブラウザは位置情報に対応していません',
+  'location.failed': '現在地を取得できませんでした',
+
+  'search.placeholder': '都市を検索、または緯度, 経度を入力',
+  'search.label': '都市を検索、または座標を入力',
+  'search.goTo': '{coordinates}へ移動',
+  'search.pin': '{place}をピン留め',
+  'search.unavailable': '都市検索は利用できません — 座標を入力してください',
+
+  'alerts.group': '到来の通知',
+  'alerts.on': '🔔 通知オン',
+  'alerts.notify': '🔕 通知する',
+  'alerts.lead': '{lead}前',
+  'alerts.atCrossing': '通過時',
+  'alerts.chime': '通過時にチャイム',
+  'alerts.unsupported': 'このブラウザは通知に対応していません',
+  'alerts.denied': 'ブラウザの設定で通知がブロックされています',
+  'alerts.noPlaces': '通知を受け取るには現在地を設定するか場所をピン留めしてください',
+  'alerts.simulated': '時計のシミュレーション中は通知を停止します',
+  'alerts.active': '通知はこのタブを開いている間だけ届きます。タブを閉じたりブラウザが一時停止したりすると届きません',
+  'alerts.activeBackground': '通知はブラウザに予約されているため、このページを閉じても届きます',
+  'alerts.soon': '{place}: あと{lead}で{name}',
+  'alerts.arrived': '{place}: {arrived} 🎉',
+  'alerts.body': '{name}の{arrival}は現地時刻 {time}',
+
+  'pins.heading': 'ピン留めした場所',
+  'pins.name': '場所の名前',
+  'pins.up': '{name}を上へ',
+  'pins.down': '{name}を下へ',
+  'pins.remove': '{name}を削除',
+  'pins.arrival': '{name}の{arrival}:',
+  'pins.countdown': '⏳ {name}まであと{countdown}',
+
+  'ics.add': '📅 カレンダーに追加',
+  'ics.addPlace': '{place}をカレンダーに追加',
+  'ics.summary': '{name}が{place}に到達',
+  'ics.description': '{place}の{name}の{arrival}: 現地時刻 {time}（{zone}）',
+
+  'options.projection': '図法',
+  'options.resetZoom': 'ズームをリセット（{zoom}×）',
+  'options.followLine': '線を追う',
+  'options.followLineHint': '地球儀をドラッグして手動で回転できます',
+  'options.solarTime': '太陽時',
+  'options.mean': '平均太陽時',
+  'options.apparent': '視太陽時',
+  'options.dayNight': '昼 / 夜',
+  'options.civil': '常用時の真夜中レイヤー',
+  'projection.equirectangular': '正距円筒図法',
+  'projection.naturalEarth': 'ナチュラルアース',
+  'projection.robinson': 'ロビンソン図法',
+  'projection.globe': '地球儀',
+  'projection.polar': '北極',
+
+  'legend.midnight': '太陽の真夜中',
+  'legend.night': '薄明 / 夜',
+  'legend.sun': '太陽の直下',
+  'legend.civil': '時計が真夜中を過ぎた地域',
+
+  'theme.group': '配色',
+  'theme.label': 'テーマ',
+  'theme.auto': 'システムに合わせる',
+  'theme.dark': 'ダーク',
+  'theme.light': 'ライト',
+  'theme.contrast': 'ハイコントラスト',
+  'theme.colorblind': '色覚多様性対応',
+  'theme.reset': '色をリセット',
+
+  'export.group': '地図を書き出す',
+  'export.size': '書き出しサイズ',
+  'export.savePng': 'PNGを保存',
+  'export.saveSvg': 'SVGを保存',
+  'export.saving': '保存中…',
+  'export.timelapse': 'タイムラプスを録画',
+  'export.timelapseHint': '現在の表示で波全体をレンダリングします',
+  'export.recording': '録画中 {percent}% — キャンセル',
+  'export.noVideo': 'このブラウザは動画を録画できません',
+  'export.failed': '書き出しに失敗しました — もう一度お試しください',
+
+  'timeline.summary': '国別タイムライン（{count}）',
+  'timeline.filter': '国を絞り込む',
+  'timeline.statusFilter': '状態で絞り込む',
+  'timeline.all': 'すべて',
+  'timeline.waiting': '待機中',
+  'timeline.crossing': '通過中',
+  'timeline.crossed': '{percent}% 通過',
+  'timeline.exportCsv': 'CSVを書き出す',
+  'timeline.exportJson': 'JSONを書き出す',
+  'timeline.exportIcs': 'カレンダーを書き出す',
+  'timeline.country': '国',
+  'timeline.midnight': '太陽の真夜中（UTC）',
+  'timeline.local': '現地時刻',
+  'timeline.first': '最初の通過',
+  'timeline.last': '最後の通過',
+  'timeline.status': '状態',
+  'timeline.remaining': '残り',
+  'timeline.show': '地図に表示',
+  'timeline.empty': '該当する国はありません',
+
+  'explain.calendarInstant': '<strong>{name}</strong>{rule}。そのため{year}は世界中で同じ瞬間、あなたの時刻で{time}に始まります。',
+  'explain.calendarDate': '<strong>{name}</strong>{rule}。{year}は{date}です。',
+  'explain.newYear': 'これは<strong>天文学的な新年</strong>です — 各地の<em>太陽の真夜中</em>（太陽が最も低い位置）が{date}に入る瞬間を表します。波は日付変更線（180°）から始まり、<strong>時速約1,670 kmで西へ</strong>進み、24時間で地球を一周します。',
+  'explain.event': 'これは<strong>{name}</strong>の天文学的な到来です — 各地の<em>太陽の真夜中</em>（太陽が最も低い位置）が{date}に入る瞬間を表します。波は日付変更線（180°）から始まり、<strong>時速約1,670 kmで西へ</strong>進み、24時間で地球を一周します。',
+  'explain.twilight': '陰影は常用薄明・航海薄明・天文薄明と夜を示します。至点の前後には一方の極域が一日中夜、もう一方が一日中昼になるため、極付近の「真夜中」は暗い空ではなく太陽の位置を意味します。',
+  'explain.showingMean': '平均太陽時の真夜中を表示中',
+  'explain.showingApparent': '視太陽時の真夜中を表示中',
+  'explain.eotBehind': '{showing} — 現在、真の太陽は平均時より<strong>{minutes}分遅れて</strong>います（均時差）。そのため視太陽時の真夜中は平均より{minutes}分遅くなります。',
+  'explain.eotAhead': '{showing} — 現在、真の太陽は平均時より<strong>{minutes}分進んで</strong>います（均時差）。そのため視太陽時の真夜中は平均より{minutes}分早くなります。',
+  'explain.timezone': 'タイムゾーンごとの真夜中をお探しですか？',
+  'explain.timezoneLink': 'タイムゾーン別の新年マップを見る →',
+
+  'share.label': '友だちと共有',
+  'share.share': '共有',
+  'share.copied': 'コピーしました！',
+  'share.post': '投稿',
+  'share.begins': '{where}{year}は現地時刻 {time}に始まります。',
+  'share.midnightWas': '{where}私の太陽の真夜中は現地時刻 {time}でした。',
+  'share.midnightIs': '{where}私の太陽の真夜中は現地時刻 {time}です。',
+  'share.where': '{place}では、',
+
+  'footer.tagline': '太陽の真夜中をリアルタイムで可視化',
+  'footer.madeBy': '制作',
+};
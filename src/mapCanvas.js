@@ -0,0 +1,200 @@
+import * as d3 from 'd3';
+import { NIGHT_BANDS, antisolarPoint, subsolarPoint } from './solar';
+import { midnightLongitude, transitionState } from './wave';
+import { fade } from './themes';
+
+// Canvas renderer for the parts of the map that move with time: new year shading and
+// fills, civil midnight hatch, night side, the midnight line and the sun markers.
+// The countries, graticule and axes stay in SVG and are only redrawn when the view changes.
+
+// Pole-to-pole meridian; the equator midpoint keeps d3 on the intended great circle
+export const meridian = (lon) => ({ type: 'LineString', coordinates: [[lon, -90], [lon, 0], [lon, 90]] });
+
+// Geographic polygon covering all longitudes from west to east (pole to pole)
+const lonBand = (west, east) =>
+  d3.geoGraticule().extentMajor([[west, -90], [east, 90]]).outline();
+
+// Screen position of a point, or null when it is on the hidden side of the projection
+export const projectVisible = (projection, point) =>
+  d3.geoPath(projection)({ type: 'Point', coordinates: point }) ? projection(point) : null;
+
+// OffscreenCanvas where available, so layers can be rendered without touching the DOM
+const createLayer = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  return Object.assign(document.createElement('canvas'), { width, height });
+};
+
+// Every country as it looks once in the new year, rendered once per view and
+// palette (themes.js). Each frame then only clips this bitmap to the new year region
+// instead of re-projecting every country.
+export const renderNewYearFills = (features, projection, { width, height, scale, palette }) => {
+  const layer = createLayer(Math.round(width * scale), Math.round(height * scale));
+  const context = layer.getContext('2d');
+  if (!context) return null;
+  context.scale(scale, scale);
+  const path = d3.geoPath(projection, context);
+  context.beginPath();
+  features.forEach(feature => path(feature));
+  context.fillStyle = palette.newYearFill;
+  context.fill();
+  context.strokeStyle = fade(palette.line, 0.3);
+  context.lineWidth = 0.5;
+  context.stroke();
+  return layer;
+};
+
+// Diagonal hatch for the civil midnight layer, one per drawing context and colour
+const hatchPatterns = new WeakMap();
+
+const hatchPattern = (context, color) => {
+  if (hatchPatterns.get(context)?.color !== color) {
+    const tile = createLayer(6, 6);
+    const tileContext = tile.getContext('2d');
+    tileContext.fillStyle = fade(color, 0.35);
+    tileContext.fillRect(0, 0, 1, 6);
+    const pattern = context.createPattern(tile, 'repeat');
+    pattern.setTransform(new DOMMatrix().rotate(45));
+    hatchPatterns.set(context, { color, pattern });
+  }
+  return hatchPatterns.get(context).pattern;
+};
+
+// Draw the time-dependent layers for an instant. `context` is already scaled to the
+// map's width x height coordinate space; `target` is a wave.js target,
+// `newYearFills` comes from renderNewYearFills and `palette` from themes.js.
+export const drawWaveLayers = (context, {
+  projection,
+  width,
+  height,
+  instant,
+  target,
+  mode,
+  newYearFills,
+  civilRegion,
+  showDayNight,
+  palette,
+}) => {
+  const path = d3.geoPath(projection, context);
+  const midnightLon = midnightLongitude(instant, mode);
+  const { inTransition, transitionComplete } = transitionState(instant, target, mode);
+  // Shadow blur is in device pixels and ignores the context transform
+  const blurScale = context.getTransform().a;
+
+  context.clearRect(0, 0, width, height);
+
+  // New-year region as a geographic polygon: everything east of the midnight line
+  // up to the Date Line, or the whole sphere once the wave has completed. Because it
+  // is a spherical polygon it renders correctly in every projection.
+  let newYearRegion = null;
+  if (transitionComplete) {
+    newYearRegion = { type: 'Sphere' };
+  } else if (inTransition) {
+    newYearRegion = lonBand(midnightLon, 180);
+  }
+
+  if (newYearRegion) {
+    const [[x0], [x1]] = path.bounds(newYearRegion);
+    const gradient = Number.isFinite(x0) && Number.isFinite(x1)
+      ? context.createLinearGradient(x0, 0, x1, 0)
+      : null;
+    gradient?.addColorStop(0, fade(palette.newYear, 0.2));
+    gradient?.addColorStop(1, fade(palette.marker, 0.1));
+    context.beginPath();
+    path(newYearRegion);
+    context.fillStyle = gradient ?? fade(palette.newYear, 0.15);
+    context.fill();
+
+    // New-year side of each country, so large countries split where the line crosses
+    if (newYearFills) {
+      context.save();
+      context.clip();
+      context.drawImage(newYearFills, 0, 0, width, height);
+      context.restore();
+    }
+  }
+
+  // Civil midnight layer: hatched over zones whose clocks already read the target date
+  if (civilRegion) {
+    context.beginPath();
+    path(civilRegion);
+    context.fillStyle = hatchPattern(context, palette.civil);
+    context.fill();
+    context.setLineDash([2, 2]);
+    context.strokeStyle = fade(palette.civil, 0.6);
+    context.lineWidth = 0.75;
+    context.stroke();
+    context.setLineDash([]);
+  }
+
+  // Night side: stacked caps around the antisolar point for each twilight band,
+  // darkest where the sun is more than 18° below the horizon
+  const antisolar = antisolarPoint(instant);
+  if (showDayNight) {
+    context.fillStyle = fade(palette.night, 0.2);
+    NIGHT_BANDS.forEach(band => {
+      context.beginPath();
+      path(d3.geoCircle().center(antisolar).radius(90 + band.altitude).precision(2)());
+      context.fill();
+    });
+    // Terminator (sun on the horizon)
+    context.beginPath();
+    path(d3.geoCircle().center(antisolar).radius(90).precision(2)());
+    context.strokeStyle = fade(palette.newYear, 0.35);
+    context.lineWidth = 0.75;
+    context.stroke();
+  }
+
+  // Midnight line (always visible): a wide soft stroke for the glow, then the line
+  context.beginPath();
+  path(meridian(midnightLon));
+  context.strokeStyle = fade(palette.line, 0.15);
+  context.lineWidth = 24;
+  context.stroke();
+  context.save();
+  context.shadowColor = palette.line;
+  context.shadowBlur = 8 * blurScale;
+  context.strokeStyle = palette.line;
+  context.lineWidth = 2;
+  context.stroke();
+  context.restore();
+
+  // A new year that begins at one instant: where the sun stands at that moment
+  if (target.at) {
+    const startXY = projectVisible(projection, subsolarPoint(target.at));
+    if (startXY) {
+      context.beginPath();
+      context.arc(startXY[0], startXY[1], 11, 0, 2 * Math.PI);
+      context.setLineDash([3, 3]);
+      context.strokeStyle = fade(palette.newYear, 0.8);
+      context.lineWidth = 1.5;
+      context.stroke();
+      context.setLineDash([]);
+    }
+  }
+
+  if (!showDayNight) return;
+
+  // Subsolar and antisolar points
+  const sunXY = projectVisible(projection, subsolarPoint(instant));
+  if (sunXY) {
+    context.save();
+    context.shadowColor = palette.newYear;
+    context.shadowBlur = 8 * blurScale;
+    context.beginPath();
+    context.arc(sunXY[0], sunXY[1], 7, 0, 2 * Math.PI);
+    context.fillStyle = palette.newYear;
+    context.fill();
+    context.restore();
+  }
+
+  const antiXY = projectVisible(projection, antisolar);
+  if (antiXY) {
+    context.beginPath();
+    context.arc(antiXY[0], antiXY[1], 5, 0, 2 * Math.PI);
+    context.setLineDash([2, 2]);
+    context.strokeStyle = palette.muted;
+    context.lineWidth = 1.5;
+    context.stroke();
+    context.setLineDash([]);
+  }
+};
@@ -0,0 +1,193 @@
+import { drawWaveLayers, renderNewYearFills } from './mapCanvas';
+
+// Snapshot and timelapse export. A frame is the map's three layers (base SVG, the
+// canvas wave layers and the overlay SVG) between a header with the title and time
+// and a footer with the legend, all in map units and scaled on output, in the colours
+// of the view's palette (themes.js).
+
+const HEADER_HEIGHT = 44;
+const FOOTER_HEIGHT = 36;
+const FONT = "'JetBrains Mono', monospace";
+const SITE_LABEL = 'nx10.dev/new-year-wave';
+
+// Resolutions offered for snapshots and timelapses, as multiples of the map size
+export const EXPORT_SCALES = [1, 2, 4];
+
+// Width of `text` in map units at `size` in the export font, so legend entries in any
+// script (CJK glyphs are about twice as wide as Latin ones) are spaced by what they take
+let measureContext;
+const textWidth = (text, size) => {
+  measureContext ??= document.createElement('canvas').getContext('2d');
+  measureContext.font = `${size}px ${FONT}`;
+  return measureContext.measureText(text).width;
+};
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+
+// Children of a live SVG layer as markup (the layers style everything with
+// attributes, so they render the same outside the page)
+const layerMarkup = (svg) => {
+  const clone = svg.cloneNode(true);
+  return Array.from(clone.childNodes, node => new XMLSerializer().serializeToString(node)).join('');
+};
+
+// Wave layers for an instant on a canvas of their own; `fills` from renderNewYearFills
+const renderWaveLayer = (view, instant, scale, fills) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(view.width * scale);
+  canvas.height = Math.round(view.height * scale);
+  const context = canvas.getContext('2d');
+  context.setTransform(scale, 0, 0, scale, 0, 0);
+  drawWaveLayers(context, { ...view, instant, newYearFills: fills });
+  return canvas;
+};
+
+// Size of an exported frame, in map units, for a map of width x height
+export const frameSize = ({ width, height }) => ({ width, height: height + HEADER_HEIGHT + FOOTER_HEIGHT });
+
+// Markup for a frame, or for the parts of one that are given: `base` and `overlay`
+// are the SVG layers, `wave` an image URL for the canvas layers, `title`, `time` and
+// `legend` ([{ label, color }]) the text baked in
+const frameMarkup = ({ view, scale, base, wave, overlay, title, time, legend }) => {
+  const { width, height } = frameSize(view);
+  const { palette } = view;
+  const mapY = HEADER_HEIGHT;
+  const footerY = mapY + view.height + FOOTER_HEIGHT / 2 + 4;
+  let x = 16;
+  const legendItems = (legend ?? []).map(({ label, color }) => {
+    const item = `<rect x="${x}" y="${footerY - 6}" width="16" height="4" rx="2" fill="${color}"/>`
+      + `<text x="${x + 22}" y="${footerY}" fill="${palette.muted}" font-size="11">${escapeXml(label)}</text>`;
+    x += 22 + textWidth(label, 11) + 20;
+    return item;
+  });
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"`
+      + ` width="${width * scale}" height="${height * scale}" viewBox="0 0 ${width} ${height}"`
+      + ` font-family="${FONT}">`,
+    base && `<rect width="${width}" height="${height}" fill="${palette.background}"/>`,
+    title && `<text x="16" y="28" fill="${palette.text}" font-size="18">${escapeXml(title)}</text>`,
+    time && `<text x="${width - 16}" y="28" fill="${palette.line}" font-size="13" text-anchor="end">${escapeXml(time)}</text>`,
+    `<g transform="translate(0, ${mapY})">`,
+    base && layerMarkup(base),
+    wave && `<image width="${view.width}" height="${view.height}" href="${wave}" xlink:href="${wave}"/>`,
+    overlay && layerMarkup(overlay),
+    '</g>',
+    ...legendItems,
+    legend && `<text x="${width - 16}" y="${footerY}" fill="${palette.textDim}" font-size="11" text-anchor="end">${SITE_LABEL}</text>`,
+    '</svg>',
+  ].filter(Boolean).join('');
+};
+
+const loadImage = (markup) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render the map image'));
+  };
+  image.src = url;
+});
+
+const canvasBlob = (canvas, type) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), type);
+});
+
+// Snapshot of the map at an instant as an SVG or PNG Blob. `view` holds the
+// drawWaveLayers options (projection, width, height, target, mode, civilRegion,
+// showDayNight, palette) plus the map's `features`; `layers` the live { base, overlay } SVGs.
+export const exportSnapshot = async ({ format, scale, view, layers, instant, title, time, legend }) => {
+  const fills = renderNewYearFills(view.features, view.projection, { ...view, scale });
+  const wave = renderWaveLayer(view, instant, scale, fills).toDataURL('image/png');
+  const markup = frameMarkup({ view, scale, ...layers, wave, title, time, legend });
+  if (format === 'svg') return new Blob([markup], { type: 'image/svg+xml' });
+
+  const image = await loadImage(markup);
+  const { width, height } = frameSize(view);
+  const canvas = document.createElement('canvas');
+  canvas.width = width * scale;
+  canvas.height = height * scale;
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvasBlob(canvas, 'image/png');
+};
+
+// Video formats tried for timelapses, best first
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+
+// The container a timelapse will be recorded in, or null if the browser cannot record
+export const timelapseType = () => {
+  if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) return null;
+  return VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type)) ?? null;
+};
+
+// Timelapse of the wave from `start` to `end` (DateTimes) as a video Blob, rendered
+// frame by frame from the simulated instants rather than recorded from the screen.
+// MediaRecorder timestamps frames as they arrive, so frames are paced at `fps`; the
+// recording takes about as long as the video. `onProgress` gets 0–1 and `signal` can
+// cancel (rejecting with an AbortError).
+export const exportTimelapse = async ({
+  scale,
+  view,
+  layers,
+  start,
+  end,
+  title,
+  legend,
+  formatTime,
+  seconds = 12,
+  fps = 30,
+  onProgress,
+  signal,
+}) => {
+  const type = timelapseType();
+  if (!type) throw new Error('This browser cannot record video');
+
+  const { width, height } = frameSize(view);
+  const [background, foreground] = await Promise.all([
+    loadImage(frameMarkup({ view, scale, base: layers.base, title, legend })),
+    loadImage(frameMarkup({ view, scale, overlay: layers.overlay })),
+  ]);
+  const fills = renderNewYearFills(view.features, view.projection, { ...view, scale });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width * scale;
+  canvas.height = height * scale;
+  const context = canvas.getContext('2d');
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond: 4e6 * scale * scale });
+  const chunks = [];
+  recorder.ondataavailable = (e) => chunks.push(e.data);
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+  const frames = Math.round(seconds * fps);
+  const span = end.diff(start).toMillis();
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  recorder.start();
+  try {
+    for (let i = 0; i < frames; i++) {
+      if (signal?.aborted) throw new DOMException('Timelapse cancelled', 'AbortError');
+      const frameStart = performance.now();
+      const instant = start.plus(span * (i / (frames - 1)));
+      context.drawImage(background, 0, 0, canvas.width, canvas.height);
+      context.drawImage(renderWaveLayer(view, instant, scale, fills), 0, HEADER_HEIGHT * scale);
+      context.drawImage(foreground, 0, 0, canvas.width, canvas.height);
+      context.font = `${13 * scale}px ${FONT}`;
+      context.textAlign = 'right';
+      context.fillStyle = view.palette.line;
+      context.fillText(formatTime(instant), (width - 16) * scale, 28 * scale);
+      track.requestFrame();
+      onProgress?.((i + 1) / frames);
+      await wait(Math.max(0, 1000 / fps - (performance.now() - frameStart)));
+    }
+  } finally {
+    recorder.stop();
+    track.stop();
+  }
+  await stopped;
+  return new Blob(chunks, { type: type.split(';')[0] });
+};
@@ -0,0 +1,77 @@
+import { midnightLongitude } from './wave';
+
+// Population-weighted coverage: how many people a wave has reached. The grid is GPW v4
+// summed into 1° cells (the `populationGrid` plugin in vite.config.js builds
+// population.json from data/population-grid.asc) and is fetched on first use.
+
+const POPULATION_URL = `${import.meta.env.BASE_URL}population.json`;
+
+// One column per degree of longitude, westmost (-180..-179) first
+const COLUMNS = 360;
+
+let populationPromise = null;
+
+// { continents: [code], totals: [people], total, east: [[people]] }, fetched once.
+// east[c][i] is continent c's population from column i to the date line, so the
+// people east of any longitude can be read off without summing the grid again.
+export const loadPopulation = () => {
+  populationPromise ??= fetch(POPULATION_URL)
+    .then(response => {
+      if (!response.ok) throw new Error(`Failed to fetch population (${response.status})`);
+      return response.json();
+    })
+    .then(({ continents, cells }) => {
+      const columns = continents.map(() => new Float64Array(COLUMNS));
+      cells.forEach(([lon, , continent, people]) => {
+        columns[continent][Math.floor(lon + 180)] += people;
+      });
+      const east = columns.map(column => {
+        const sums = new Float64Array(COLUMNS + 1);
+        for (let i = COLUMNS - 1; i >= 0; i--) sums[i] = sums[i + 1] + column[i];
+        return sums;
+      });
+      const totals = east.map(sums => sums[0]);
+      return {
+        continents,
+        totals,
+        total: totals.reduce((a, b) => a + b, 0),
+        east,
+      };
+    })
+    .catch(err => {
+      populationPromise = null;
+      throw err;
+    });
+  return populationPromise;
+};
+
+// People east of a longitude, per continent. The column the line is in counts in
+// proportion to the part of it already crossed.
+const eastOf = ({ east }, lon) => {
+  const x = Math.min(Math.max(lon + 180, 0), COLUMNS);
+  const i = Math.min(Math.floor(x), COLUMNS - 1);
+  return east.map(sums => sums[i + 1] + (sums[i] - sums[i + 1]) * (i + 1 - x));
+};
+
+// People the wave has reached, per continent, given where it stands (transitionState)
+// and the solar midnight longitude. Instant targets go from nobody to everybody.
+export const crossedPopulation = (population, { inTransition, transitionComplete }, midnightLon) => {
+  if (transitionComplete) return population.totals;
+  if (!inTransition) return population.totals.map(() => 0);
+  return eastOf(population, midnightLon);
+};
+
+// Samples of crossedPopulation across a wave window, for charting:
+// [{ time, crossed: [people per continent] }], `count` evenly spaced from start to end
+export const crossingSeries = (population, { start, end }, mode = 'mean', count = 97) => {
+  const span = end.diff(start).toMillis();
+  return Array.from({ length: count }, (_, i) => {
+    const time = start.plus(span * (i / (count - 1)));
+    const crossed = i === 0
+      ? population.totals.map(() => 0)
+      : i === count - 1
+        ? population.totals
+        : eastOf(population, midnightLongitude(time, mode));
+    return { time, crossed };
+  });
+};
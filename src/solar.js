@@ -0,0 +1,96 @@
+import { DateTime } from 'luxon';
+
+// Solar position helpers (NOAA low-precision formulas, accurate to well under a minute).
+//
+// Mean solar time treats the sun as moving a steady 15°/hour, so mean solar midnight
+// sits at longitude -UTC_hour * 15. The real (apparent) sun runs ahead of or behind
+// that by the equation of time, which varies over the year between about -14 and +16 min.
+
+export const SOLAR_MODES = ['mean', 'apparent'];
+
+// Fractional year in radians for a UTC instant
+const fractionalYear = (dt) => {
+  const utc = dt.toUTC();
+  const daysInYear = utc.isInLeapYear ? 366 : 365;
+  const hour = utc.hour + utc.minute / 60 + utc.second / 3600;
+  return (2 * Math.PI / daysInYear) * (utc.ordinal - 1 + (hour - 12) / 24);
+};
+
+// Equation of time in minutes (apparent minus mean solar time)
+export const equationOfTime = (dt) => {
+  const g = fractionalYear(dt);
+  return 229.18 * (
+    0.000075
+    + 0.001868 * Math.cos(g)
+    - 0.032077 * Math.sin(g)
+    - 0.014615 * Math.cos(2 * g)
+    - 0.040849 * Math.sin(2 * g)
+  );
+};
+
+// Solar declination in degrees (latitude of the subsolar point)
+export const solarDeclination = (dt) => {
+  const g = fractionalYear(dt);
+  const rad = 0.006918
+    - 0.399912 * Math.cos(g)
+    + 0.070257 * Math.sin(g)
+    - 0.006758 * Math.cos(2 * g)
+    + 0.000907 * Math.sin(2 * g)
+    - 0.002697 * Math.cos(3 * g)
+    + 0.00148 * Math.sin(3 * g);
+  return rad * 180 / Math.PI;
+};
+
+// Normalize a longitude to (-180, 180]
+const normalizeLon = (lon) => {
+  let l = lon;
+  while (l <= -180) l += 360;
+  while (l > 180) l -= 360;
+  return l;
+};
+
+// Longitude where it is solar midnight at a UTC instant
+export const midnightLongitude = (dt, mode = 'mean') => {
+  const utc = dt.toUTC();
+  const totalHours = utc.hour + utc.minute / 60 + utc.second / 3600;
+  const correction = mode === 'apparent' ? equationOfTime(utc) / 60 : 0;
+  return normalizeLon(-(totalHours + correction) * 15);
+};
+
+// Subsolar point [lon, lat] (sun directly overhead) at a UTC instant
+export const subsolarPoint = (dt) => {
+  const utc = dt.toUTC();
+  const totalHours = utc.hour + utc.minute / 60 + utc.second / 3600;
+  const lon = normalizeLon(180 - (totalHours + equationOfTime(utc) / 60) * 15);
+  return [lon, solarDeclination(utc)];
+};
+
+// UTC instant of solar midnight starting a calendar date (a DateTime; only the
+// date is used) at a longitude, e.g. Jan 1 for the new year.
+// Mean time: (180 - lon) / 15 hours after 12:00 UTC the day before. Apparent midnight
+// comes EoT minutes earlier/later; EoT drifts slowly, so two fixed-point steps converge.
+export const solarMidnightTime = (lon, date, mode = 'mean') => {
+  const waveStart = DateTime.utc(date.year, date.month, date.day).minus({ hours: 12 });
+  const mean = waveStart.plus({ hours: (180 - lon) / 15 });
+  if (mode !== 'apparent') return mean;
+  let t = mean;
+  for (let i = 0; i < 2; i++) {
+    t = mean.minus({ minutes: equationOfTime(t) });
+  }
+  return t;
+};
+
+// Antisolar point [lon, lat]: the centre of the night hemisphere
+export const antisolarPoint = (dt) => {
+  const [lon, lat] = subsolarPoint(dt);
+  return [normalizeLon(lon + 180), -lat];
+};
+
+// Night-side bands by sun altitude. Everything with the sun below `altitude` lies
+// within (90 + altitude)° of the antisolar point, so each band is a spherical cap.
+export const NIGHT_BANDS = [
+  { name: 'Civil twilight', altitude: 0 },
+  { name: 'Nautical twilight', altitude: -6 },
+  { name: 'Astronomical twilight', altitude: -12 },
+  { name: 'Night', altitude: -18 },
+];
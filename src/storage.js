@@ -0,0 +1,26 @@
+// Choices remembered between visits, as JSON in localStorage. Storage can be disabled
+// (private mode, blocked site data) or full: then nothing loads and saving does nothing,
+// so a choice lasts for this visit only.
+
+// The value saved under `key`, or null if there is none or it cannot be read
+export const loadStored = (key) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+// Save `value` under `key`. `params` are the URL parameters that override the saved
+// value for a visit (e.g. ?lang=); they leave the address, as the choice now applies.
+export const saveStored = (key, value, params = []) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Not saved: see above
+  }
+  if (!params.length) return;
+  const url = new URL(window.location.href);
+  params.forEach(param => url.searchParams.delete(param));
+  window.history.replaceState(null, '', url);
+};
@@ -0,0 +1,98 @@
+/* global PRECACHE, VERSION */
+// Service worker for offline use. Built by the `serviceWorker` plugin in vite.config.js,
+// which prepends PRECACHE (every built file plus public/) and VERSION (a hash of their contents).
+//
+// - App shell and bundled map data: precached on install, served cache-first
+// - Page navigations: network-first with a timeout, falling back to the cached shell
+// - Map data from the CDN and web fonts: stale-while-revalidate
+// - Arrival notifications (timed by the page, or scheduled here with Notification
+//   Triggers where supported): clicking one focuses or reopens the app
+
+const SHELL_CACHE = `new-year-wave-shell-${VERSION}`;
+const RUNTIME_CACHE = 'new-year-wave-runtime';
+const RUNTIME_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+const CDN_PRECACHE = ['https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(PRECACHE);
+    // Best effort: the bundled copy covers us if the CDN is unreachable right now
+    const runtime = await caches.open(RUNTIME_CACHE);
+    await Promise.all(CDN_PRECACHE.map(url => runtime.add(url).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith('new-year-wave-shell-') && key !== SHELL_CACHE)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+// Fall back to the cached shell if the network has not answered within this time
+const NAVIGATION_TIMEOUT = 3000;
+
+const networkFirst = async (request) => {
+  try {
+    const response = await Promise.race([
+      fetch(request),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('Network timeout')), NAVIGATION_TIMEOUT)),
+    ]);
+    // Only a good page replaces the shell; a 404 or 500 must not overwrite it
+    if (response.ok) {
+      const shell = await caches.open(SHELL_CACHE);
+      shell.put('./', response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match('./');
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request, { ignoreSearch: true });
+  return cached || fetch(request);
+};
+
+const staleWhileRevalidate = async (request) => {
+  const runtime = await caches.open(RUNTIME_CACHE);
+  const cached = await runtime.match(request);
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok) runtime.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+  return cached || update;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const app = windows.find(client => client.url.startsWith(self.registration.scope));
+    if (app) return app.focus();
+    return self.clients.openWindow(self.registration.scope);
+  })());
+});
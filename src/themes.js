@@ -0,0 +1,157 @@
+import * as d3 from 'd3';
+
+// Colour themes shared by the stylesheet and the map drawing code. A palette names
+// colours by their role; App.css sees them as CSS variables (cssVariables) and the
+// SVG, canvas and export renderers take the palette itself.
+//
+//   background  page and map background    text, textDim, muted  text from bright to faint
+//   surface     panels                     oldYear   countries still in the old year
+//   raised      buttons, inputs, cards     newYear   the new year: highlights, sun, pins
+//   ocean       the globe's sphere         line      the midnight line and accents
+//   night       the night side             civil     civil midnight
+//   marker      your location              fillMix   how far new-year countries lean
+//   error       error messages                         from background towards newYear
+//   continents  { AF, AS, EU, NA, OC, SA, AN }, the population chart's bands
+
+export const THEMES = {
+  dark: {
+    background: '#0a0a12',
+    surface: '#0d1b2a',
+    raised: '#1b263b',
+    ocean: '#0d1b2a',
+    text: '#e2e8f0',
+    textDim: '#64748b',
+    muted: '#94a3b8',
+    oldYear: '#1b263b',
+    newYear: '#fcd34d',
+    line: '#2dd4bf',
+    civil: '#38bdf8',
+    marker: '#fb923c',
+    night: '#020617',
+    error: '#f87171',
+    continents: { AF: '#f59e0b', AS: '#ef4444', EU: '#3b82f6', NA: '#22c55e', OC: '#06b6d4', SA: '#a855f7', AN: '#94a3b8' },
+    fillMix: 0.14,
+  },
+  light: {
+    background: '#f8fafc',
+    surface: '#e2e8f0',
+    raised: '#ffffff',
+    ocean: '#dbeafe',
+    text: '#0f172a',
+    textDim: '#475569',
+    muted: '#64748b',
+    oldYear: '#cbd5e1',
+    newYear: '#d97706',
+    line: '#0d9488',
+    civil: '#0284c7',
+    marker: '#ea580c',
+    night: '#1e293b',
+    error: '#dc2626',
+    continents: { AF: '#d97706', AS: '#dc2626', EU: '#2563eb', NA: '#16a34a', OC: '#0891b2', SA: '#9333ea', AN: '#64748b' },
+    fillMix: 0.4,
+  },
+  // Pure black and white with saturated, widely separated accents
+  contrast: {
+    background: '#000000',
+    surface: '#000000',
+    raised: '#1f1f1f',
+    ocean: '#001a33',
+    text: '#ffffff',
+    textDim: '#d4d4d4',
+    muted: '#e5e5e5',
+    oldYear: '#404040',
+    newYear: '#ffff00',
+    line: '#00ffff',
+    civil: '#ff00ff',
+    marker: '#ff8000',
+    night: '#000000',
+    error: '#ff6666',
+    continents: { AF: '#ffaa00', AS: '#ff4d4d', EU: '#4da6ff', NA: '#33ff66', OC: '#00ffff', SA: '#ff66ff', AN: '#ffffff' },
+    fillMix: 0.35,
+  },
+  // Okabe–Ito colours, told apart with any of the common colour vision deficiencies
+  colorblind: {
+    background: '#0a0a12',
+    surface: '#0d1b2a',
+    raised: '#1b263b',
+    ocean: '#0d1b2a',
+    text: '#e2e8f0',
+    textDim: '#64748b',
+    muted: '#94a3b8',
+    oldYear: '#1b263b',
+    newYear: '#e69f00',
+    line: '#56b4e9',
+    civil: '#cc79a7',
+    marker: '#d55e00',
+    night: '#020617',
+    error: '#f87171',
+    continents: { AF: '#e69f00', AS: '#d55e00', EU: '#0072b2', NA: '#009e73', OC: '#56b4e9', SA: '#cc79a7', AN: '#999999' },
+    fillMix: 0.2,
+  },
+};
+
+export const DEFAULT_THEME = 'dark';
+
+// The colours users can set themselves, in the order ?colors= lists them
+export const CUSTOM_COLORS = ['oldYear', 'newYear', 'line'];
+
+// Palette role -> CSS variable in App.css
+const CSS_VARIABLES = {
+  background: '--deep-space',
+  surface: '--midnight-blue',
+  raised: '--twilight',
+  oldYear: '--old-year',
+  line: '--aurora-green',
+  civil: '--aurora-blue',
+  newYear: '--gold-light',
+  marker: '--warm-glow',
+  text: '--text-primary',
+  textDim: '--text-dim',
+  night: '--night',
+  error: '--error',
+};
+
+// CSS variable of a continent's colour, e.g. --continent-af
+export const continentVariable = (code) => `--continent-${code.toLowerCase()}`;
+
+// [CSS variable, colour] pairs for a palette, including --continent-af and so on
+export const cssVariables = (palette) => [
+  ...Object.entries(CSS_VARIABLES).map(([role, variable]) => [variable, palette[role]]),
+  ...Object.entries(palette.continents).map(([code, color]) => [continentVariable(code), color]),
+];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export const isThemeName = (name) => Object.hasOwn(THEMES, name);
+
+// Custom colours as { role: '#rrggbb' }, dropping anything else
+export const cleanColors = (colors) => Object.fromEntries(CUSTOM_COLORS
+  .filter(role => typeof colors?.[role] === 'string' && HEX_COLOR.test(colors[role]))
+  .map(role => [role, colors[role].toLowerCase()]));
+
+// ?colors=1b263b-fcd34d-2dd4bf: old year, new year and line without the #, blank
+// for the theme's own (e.g. -ff0000-)
+export const parseColors = (text) => cleanColors(Object.fromEntries(
+  (text ?? '').split('-').map((hex, i) => [CUSTOM_COLORS[i], `#${hex}`]),
+));
+
+export const formatColors = (colors) => CUSTOM_COLORS
+  .map(role => colors[role]?.slice(1) ?? '')
+  .join('-')
+  .replace(/-+$/, '');
+
+// A theme with custom colours applied, plus the colours derived from it
+export const themePalette = (name, colors = {}) => {
+  const palette = { ...THEMES[isThemeName(name) ? name : DEFAULT_THEME], ...cleanColors(colors) };
+  return {
+    ...palette,
+    newYearFill: d3.interpolateRgb(palette.background, palette.newYear)(palette.fillMix),
+  };
+};
+
+// `color` at `opacity`, for canvas and SVG styles
+export const fade = (color, opacity) => {
+  const faded = d3.color(color);
+  faded.opacity = opacity;
+  return faded.formatRgb();
+};
@@ -0,0 +1,173 @@
+/* global TimestampTrigger */
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { playChime, unlockChime } from './chime';
+import { loadStored, saveStored } from './storage';
+
+// Opt-in alerts as the wave reaches watched places: notifications at chosen lead times
+// and an optional chime at the crossing. Notifications follow real time only; the
+// chime also rings when a simulated replay crosses a place.
+//
+// Where the browser has Notification Triggers, notifications are handed to the service
+// worker with the time to show them, so they arrive even after the tab is closed.
+// Elsewhere the page times them itself, which only works while it stays open.
+//
+// A place is { id, label, arrival (DateTime), timeZone? }.
+
+// Lead times offered, in minutes before the crossing
+export const ALERT_LEADS = [60, 10, 0];
+
+const STORAGE_KEY = 'new-year-wave:alerts';
+const DEFAULT_SETTINGS = { enabled: false, leads: [60, 10, 0], chime: false };
+
+// setTimeout delays overflow past ~24.8 days; anything further is scheduled on a later visit
+const MAX_DELAY = 2 ** 31 - 1;
+
+// Longest clock step (simulated ms) still treated as playback for the chime
+const MAX_CHIME_STEP = 60 * 60000;
+
+const loadSettings = () => ({ ...DEFAULT_SETTINGS, ...loadStored(STORAGE_KEY) });
+
+// Notification Triggers (Chromium only, behind a flag or origin trial)
+const BACKGROUND_ALERTS = typeof TimestampTrigger !== 'undefined'
+  && typeof Notification !== 'undefined' && 'showTrigger' in Notification.prototype;
+
+const TAG_PREFIX = 'arrival-';
+
+// Cancel the scheduled notifications not shown yet, before scheduling the current set
+const cancelScheduled = async (registration) => {
+  const pending = await registration.getNotifications({ includeTriggered: true });
+  const now = Date.now();
+  pending
+    .filter(notification => notification.tag.startsWith(TAG_PREFIX) && notification.timestamp > now)
+    .forEach(notification => notification.close());
+};
+
+const notificationPermission = () =>
+  (typeof Notification === 'undefined' ? 'unsupported' : Notification.permission);
+
+// The notifications for `places` still to come: { at (ms), title, options }
+const arrivalAlerts = (places, leads, labels, { t, formatDuration, formatTime }) => {
+  const now = Date.now();
+  return places.flatMap(place => leads.map(minutes => {
+    const at = place.arrival.toMillis() - minutes * 60000;
+    const time = formatTime(place.arrival.setZone(place.timeZone ?? 'local'));
+    return {
+      at,
+      title: minutes
+        ? t('alerts.soon', { place: place.label, name: labels.name, lead: formatDuration(minutes) })
+        : t('alerts.arrived', { place: place.label, arrived: labels.arrived }),
+      options: {
+        body: t('alerts.body', { arrival: labels.arrival, name: labels.name, time }),
+        tag: `${TAG_PREFIX}${place.id}-${minutes}-${place.arrival.toMillis()}`,
+        icon: `${import.meta.env.BASE_URL}icon-192.png`,
+      },
+    };
+  })).filter(({ at }) => at > now);
+};
+
+const showNotification = async (title, options) => {
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+};
+
+// `places` should keep its identity between clock ticks. `labels` (see eventLabels in
+// App) and `i18n` word the notifications; `live` is false while the clock is simulated,
+// which pauses notifications timed by the page but keeps the worker's schedule, and
+// `playing` false while it is paused.
+export function useArrivalAlerts({ places, currentTime, live, playing, labels, i18n }) {
+  const [settings, setSettings] = useState(loadSettings);
+  const [permission, setPermission] = useState(notificationPermission);
+  // The service worker, once active (production builds only)
+  const [registration, setRegistration] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    navigator.serviceWorker?.ready.then(ready => {
+      if (!cancelled) setRegistration(ready);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => saveStored(STORAGE_KEY, settings), [settings]);
+
+  // Ask for permission on the first opt-in; this must run inside the click handler
+  const toggleEnabled = useCallback(async () => {
+    if (settings.enabled) {
+      setSettings(s => ({ ...s, enabled: false }));
+      return;
+    }
+    if (typeof Notification === 'undefined') return;
+    const result = Notification.permission === 'default'
+      ? await Notification.requestPermission()
+      : Notification.permission;
+    setPermission(result);
+    if (result === 'granted') setSettings(s => ({ ...s, enabled: true }));
+  }, [settings.enabled]);
+
+  const toggleLead = useCallback((minutes) => {
+    setSettings(s => ({
+      ...s,
+      leads: s.leads.includes(minutes) ? s.leads.filter(m => m !== minutes) : [...s.leads, minutes],
+    }));
+  }, []);
+
+  const toggleChime = useCallback(() => {
+    unlockChime();
+    setSettings(s => ({ ...s, chime: !s.chime }));
+  }, []);
+
+  const background = BACKGROUND_ALERTS && Boolean(registration);
+
+  // Places and wording as of real time. While the clock is simulated `places` and
+  // `labels` follow the simulated wave, so the worker's schedule keeps these instead
+  // (none yet when the page opens on a simulated time).
+  const [realTime, setRealTime] = useState(() => (live ? { places, labels } : null));
+  if (live && (realTime?.places !== places || realTime?.labels !== labels)) {
+    setRealTime({ places, labels });
+  }
+
+  // Scheduled with the worker: replaced when the places or the settings change, and
+  // left in place while scrubbing and when the page goes away
+  useEffect(() => {
+    if (!background || !realTime) return;
+    const active = settings.enabled && permission === 'granted';
+    const alerts = active ? arrivalAlerts(realTime.places, settings.leads, realTime.labels, i18n) : [];
+    cancelScheduled(registration)
+      .then(() => Promise.all(alerts.map(({ at, title, options }) => registration.showNotification(title, {
+        ...options,
+        timestamp: at,
+        showTrigger: new TimestampTrigger(at),
+      }))))
+      .catch(err => console.warn('Scheduling notifications failed:', err));
+  }, [background, registration, realTime, settings, permission, i18n]);
+
+  // Timed by the page otherwise, and paused while the clock is simulated
+  useEffect(() => {
+    if (background || !settings.enabled || !live || permission !== 'granted') return undefined;
+    const now = Date.now();
+    const timers = arrivalAlerts(places, settings.leads, labels, i18n)
+      .filter(({ at }) => at - now <= MAX_DELAY)
+      .map(({ at, title, options }) => setTimeout(() => {
+        showNotification(title, options).catch(err => console.warn('Notification failed:', err));
+      }, at - now));
+    return () => timers.forEach(clearTimeout);
+  }, [background, places, settings, live, permission, labels, i18n]);
+
+  // Chime when the playing clock passes a place's crossing, live or simulated. A tick
+  // covers about 12 minutes at 3600×, so jumps of over an hour are scrubbing and stay silent.
+  const lastTimeRef = useRef(null);
+  useEffect(() => {
+    const last = lastTimeRef.current;
+    lastTimeRef.current = currentTime;
+    if (!settings.chime || !playing || !last) return;
+    const step = currentTime.diff(last).toMillis();
+    if (step <= 0 || step > MAX_CHIME_STEP) return;
+    if (places.some(p => p.arrival > last && p.arrival <= currentTime)) playChime();
+  }, [currentTime, places, settings.chime, playing]);
+
+  return { settings, permission, background, toggleEnabled, toggleLead, toggleChime };
+}
@@ -0,0 +1,22 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Text for a screen-reader live region as the wave passes its milestones (it starts,
+// reaches a continent or your location, completes) rather than on every clock tick.
+//
+// `milestones` is [{ id, reached, message }]. One is announced when it goes from not
+// reached to reached between renders, so a page opened mid-wave, or data that loads
+// late, starts quiet; going back in time arms it again.
+export function useMilestoneAnnouncer(milestones) {
+  const [announcement, setAnnouncement] = useState('');
+  const reachedBefore = useRef(new Map());
+
+  useEffect(() => {
+    const previous = reachedBefore.current;
+    const fresh = milestones.filter(({ id, reached }) => reached && previous.get(id) === false);
+    reachedBefore.current = new Map(milestones.map(({ id, reached }) => [id, reached]));
+    // Several at once (a jump of the scrubber) are read together
+    if (fresh.length) setAnnouncement(fresh.map(({ message }) => message).join(' '));
+  }, [milestones]);
+
+  return announcement;
+}
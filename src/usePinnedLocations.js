@@ -0,0 +1,61 @@
+import { useState, useEffect, useCallback } from 'react';
+import { loadStored, saveStored } from './storage';
+
+// Pinned places, kept in localStorage so the watch list survives reloads.
+// A pin is { id, label, latitude, longitude, timeZone }.
+const STORAGE_KEY = 'new-year-wave:pins';
+
+const isPin = (pin) => pin
+  && typeof pin.id === 'string'
+  && typeof pin.label === 'string'
+  && Number.isFinite(pin.latitude) && Math.abs(pin.latitude) <= 90
+  && Number.isFinite(pin.longitude) && Math.abs(pin.longitude) <= 180;
+
+// Saved pins, skipping anything malformed
+const loadPins = () => {
+  const saved = loadStored(STORAGE_KEY);
+  return Array.isArray(saved) ? saved.filter(isPin) : [];
+};
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function usePinnedLocations() {
+  const [pins, setPins] = useState(loadPins);
+
+  useEffect(() => saveStored(STORAGE_KEY, pins), [pins]);
+
+  // Pick up edits made in another tab
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === STORAGE_KEY) setPins(loadPins());
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, []);
+
+  const addPin = useCallback(({ label, latitude, longitude, timeZone }) => {
+    setPins(current => [...current, { id: newId(), label, latitude, longitude, timeZone: timeZone ?? null }]);
+  }, []);
+
+  const renamePin = useCallback((id, label) => {
+    setPins(current => current.map(pin => (pin.id === id ? { ...pin, label } : pin)));
+  }, []);
+
+  const removePin = useCallback((id) => {
+    setPins(current => current.filter(pin => pin.id !== id));
+  }, []);
+
+  // Move a pin up (-1) or down (+1) the list
+  const movePin = useCallback((id, step) => {
+    setPins(current => {
+      const from = current.findIndex(pin => pin.id === id);
+      const to = from + step;
+      if (from < 0 || to < 0 || to >= current.length) return current;
+      const next = [...current];
+      [next[from], next[to]] = [next[to], next[from]];
+      return next;
+    });
+  }, []);
+
+  return { pins, addPin, renamePin, removePin, movePin };
+}
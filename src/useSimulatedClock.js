@@ -0,0 +1,124 @@
+import { useState, useEffect, useCallback } from 'react';
+import { DateTime } from 'luxon';
+
+// Playback speeds offered by the time controls (simulated seconds per real second)
+export const SPEEDS = [1, 60, 3600];
+
+// Read a start instant from the ?t= URL parameter, e.g. ?t=2025-12-31T18:00Z
+const parseTimeParam = () => {
+  const t = new URLSearchParams(window.location.search).get('t');
+  if (!t) return null;
+  const dt = DateTime.fromISO(t, { zone: 'utc' });
+  return dt.isValid ? dt : null;
+};
+
+const liveClock = () => ({
+  live: true,
+  playing: true,
+  speed: 1,
+  anchorSim: Date.now(),
+  anchorReal: Date.now(),
+});
+
+const initialClock = () => {
+  const start = parseTimeParam();
+  if (!start) return liveClock();
+  // A linked moment opens paused so it can be screenshotted as-is
+  return {
+    live: false,
+    playing: false,
+    speed: 1,
+    anchorSim: start.toMillis(),
+    anchorReal: Date.now(),
+  };
+};
+
+// The simulated instant is the anchor plus real time elapsed since then, scaled by speed
+const readClock = (clock) => {
+  if (clock.live) return DateTime.utc();
+  const elapsed = clock.playing ? (Date.now() - clock.anchorReal) * clock.speed : 0;
+  return DateTime.fromMillis(clock.anchorSim + elapsed, { zone: 'utc' });
+};
+
+// Re-anchor at the current simulated instant before changing speed or play state
+const rebase = (clock) => ({
+  ...clock,
+  anchorSim: readClock(clock).toMillis(),
+  anchorReal: Date.now(),
+});
+
+export function useSimulatedClock() {
+  const [clock, setClock] = useState(initialClock);
+  const [currentTime, setCurrentTime] = useState(() => readClock(clock));
+
+  const update = useCallback((next) => {
+    setClock(next);
+    setCurrentTime(readClock(next));
+  }, []);
+
+  // Tick while playing; fast-forward needs more frequent updates to move smoothly
+  useEffect(() => {
+    if (!clock.playing) return;
+    const interval = setInterval(() => {
+      setCurrentTime(readClock(clock));
+    }, clock.speed > 1 ? 200 : 1000);
+    return () => clearInterval(interval);
+  }, [clock]);
+
+  // Keep ?t= in sync so the simulated moment can be copied from the address bar. While
+  // playing, the moment moves on, so it is written again every second.
+  useEffect(() => {
+    const sync = () => {
+      const url = new URL(window.location.href);
+      if (clock.live) {
+        url.searchParams.delete('t');
+      } else {
+        const t = readClock(clock).startOf('second');
+        url.searchParams.set('t', t.toISO({ suppressMilliseconds: true }));
+      }
+      window.history.replaceState(null, '', url);
+    };
+    const timeout = setTimeout(sync, 300);
+    const interval = clock.playing && !clock.live ? setInterval(sync, 1000) : null;
+    return () => {
+      clearTimeout(timeout);
+      clearInterval(interval);
+    };
+  }, [clock]);
+
+  const play = useCallback(() => {
+    update({ ...rebase(clock), live: false, playing: true });
+  }, [clock, update]);
+
+  const pause = useCallback(() => {
+    update({ ...rebase(clock), live: false, playing: false });
+  }, [clock, update]);
+
+  const setSpeed = useCallback((speed) => {
+    update({ ...rebase(clock), live: false, playing: true, speed });
+  }, [clock, update]);
+
+  const seek = useCallback((millis) => {
+    update({ ...clock, live: false, anchorSim: millis, anchorReal: Date.now() });
+  }, [clock, update]);
+
+  const goLive = useCallback(() => {
+    update(liveClock());
+  }, [update]);
+
+  // Simulated instant right now, between ticks (e.g. for animation frames)
+  const readTime = useCallback(() => readClock(clock), [clock]);
+
+  return {
+    currentTime,
+    live: clock.live,
+    playing: clock.playing,
+    speed: clock.speed,
+    play,
+    pause,
+    setSpeed,
+    seek,
+    goLive,
+    readTime,
+  };
+}
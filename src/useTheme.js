@@ -0,0 +1,91 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { loadStored, saveStored } from './storage';
+import { cleanColors, cssVariables, isThemeName, themePalette } from './themes';
+
+// The colour theme: a preset from themes.js, or 'auto' to follow the system's light or
+// dark (and more contrast) preference, plus any custom old year / new year / line
+// colours. Kept in localStorage; a shared link (?theme=, ?colors=, see viewLink.js)
+// overrides it for that visit.
+const STORAGE_KEY = 'new-year-wave:theme';
+
+const loadSettings = () => {
+  const saved = loadStored(STORAGE_KEY);
+  return {
+    theme: saved?.theme === 'auto' || isThemeName(saved?.theme) ? saved.theme : 'auto',
+    colors: cleanColors(saved?.colors),
+  };
+};
+
+// The settings change that sets one custom colour
+const colorChange = (role, color) => (current) => ({
+  colors: cleanColors({ ...current.colors, [role]: color }),
+});
+
+const CONTRAST_QUERY = '(prefers-contrast: more)';
+const LIGHT_QUERY = '(prefers-color-scheme: light)';
+
+const systemTheme = () => {
+  if (!window.matchMedia) return 'dark';
+  if (window.matchMedia(CONTRAST_QUERY).matches) return 'contrast';
+  return window.matchMedia(LIGHT_QUERY).matches ? 'light' : 'dark';
+};
+
+// `initial` is { theme, colors } from the URL, either may be missing. `transparent`
+// leaves the page's colour scheme to the host page, for a transparent embed.
+export function useTheme(initial = {}, { transparent = false } = {}) {
+  const [settings, setSettings] = useState(() => {
+    const saved = loadSettings();
+    return {
+      theme: initial.theme ?? saved.theme,
+      colors: initial.colors ?? saved.colors,
+    };
+  });
+  const [system, setSystem] = useState(systemTheme);
+
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const queries = [CONTRAST_QUERY, LIGHT_QUERY].map(query => window.matchMedia(query));
+    const onChange = () => setSystem(systemTheme());
+    queries.forEach(query => query.addEventListener('change', onChange));
+    return () => queries.forEach(query => query.removeEventListener('change', onChange));
+  }, []);
+
+  const name = settings.theme === 'auto' ? system : settings.theme;
+  const palette = useMemo(() => themePalette(name, settings.colors), [name, settings.colors]);
+
+  // Hand the palette to the stylesheet and the browser's own UI
+  useEffect(() => {
+    const root = document.documentElement;
+    cssVariables(palette).forEach(([variable, color]) => root.style.setProperty(variable, color));
+    // An iframe whose colour scheme differs from its host page's gets an opaque backdrop
+    if (transparent) root.style.removeProperty('color-scheme');
+    else root.style.colorScheme = name === 'light' ? 'light' : 'dark';
+    document.querySelector('meta[name="theme-color"]')?.setAttribute('content', palette.background);
+  }, [name, palette, transparent]);
+
+  // `changes` maps the current settings to the ones to replace; `save: false` only
+  // shows them, e.g. while a colour picker is being dragged
+  const update = useCallback((changes, { save = true } = {}) => {
+    setSettings(current => {
+      const next = { ...current, ...changes(current) };
+      if (save) saveStored(STORAGE_KEY, next, ['theme', 'colors']);
+      return next;
+    });
+  }, []);
+
+  const setTheme = useCallback((theme) => update(() => ({ theme })), [update]);
+  const previewColor = useCallback((role, color) => update(colorChange(role, color), { save: false }), [update]);
+  const setColor = useCallback((role, color) => update(colorChange(role, color)), [update]);
+  const resetColors = useCallback(() => update(() => ({ colors: {} })), [update]);
+
+  return {
+    theme: settings.theme,
+    name,
+    colors: settings.colors,
+    palette,
+    setTheme,
+    previewColor,
+    setColor,
+    resetColors,
+  };
+}
@@ -0,0 +1,135 @@
+import { CALENDARS, NEW_YEAR, calendarEvent, describeEventDate, formatEventDate, isAnyNewYear, parseEventDate } from './wave';
+import { formatColors, isThemeName, parseColors } from './themes';
+
+// Deep links: the URL parameters that reopen a view exactly as it was shared.
+//
+//   t=2026-12-31T18:00:00Z        simulated instant (omitted when live; handled by useSimulatedClock)
+//   date=2027-03-20&event=Launch  target date, or calendar=hebrew for another calendar's new year
+//   year=2027                     a given New Year rather than the next one
+//   country=Japan                 selected country
+//   loc=35.69,139.692&place=Tokyo  your location and its name; without a place name
+//                                 (e.g. from geolocation) only to 0.1°, about 11 km
+//   proj=globe&rotate=-30,-20     projection, and a hand-set globe rotation (stops following the line)
+//   zoom=4,-1200,-700             zoom scale and translation
+//   civil=1&night=0&mode=apparent map options that differ from the defaults
+//   theme=light&colors=-ff0000-   colour theme and custom old year/new year/line colours
+//                                 (see themes.js); both override the saved ones for the visit
+
+// Target event from ?calendar= (e.g. hebrew), or ?date= (e.g. 2027-03-20, or --03-20
+// for every year) and ?event=, or ?year= for the New Year of that year
+export const readEventParams = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const calendar = params.get('calendar');
+  if (CALENDARS[calendar]) return calendarEvent(calendar);
+  const date = parseEventDate(params.get('date'));
+  if (!date) {
+    const year = Number(params.get('year'));
+    return params.has('year') && Number.isInteger(year) && year > 0 ? { ...NEW_YEAR, year } : NEW_YEAR;
+  }
+  return { ...date, name: params.get('event')?.trim() || describeEventDate(date) };
+};
+
+// [key, value] pairs for an event; none for the next New Year
+export const eventParams = (event) => {
+  if (event.calendar) return [['calendar', event.calendar]];
+  if (isAnyNewYear(event)) return event.year ? [['year', String(event.year)]] : [];
+  return [['date', formatEventDate(event)], ['event', event.name]];
+};
+
+// Comma-separated numbers, or null unless there are exactly `count` finite ones
+const readNumbers = (text, count) => {
+  const numbers = text?.split(',').map(Number);
+  return numbers?.length === count && numbers.every(Number.isFinite) ? numbers : null;
+};
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// Decimals of a shared location: a named place is public, but a position from
+// geolocation or the marker could be someone's home, so it is coarsened to about 11 km
+// (still within half a minute of its solar midnight)
+const locationDigits = (location) => (location.name ? 3 : 1);
+
+// View settings found in a URL; anything missing or invalid is left undefined
+export const readViewParams = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const view = {};
+
+  if (params.get('country')) view.country = params.get('country');
+
+  const loc = readNumbers(params.get('loc'), 2);
+  if (loc && Math.abs(loc[0]) <= 90 && Math.abs(loc[1]) <= 180) {
+    view.location = { latitude: loc[0], longitude: loc[1] };
+    if (params.get('place')) view.location.name = params.get('place');
+  }
+
+  if (params.get('proj')) view.projection = params.get('proj');
+  const rotate = readNumbers(params.get('rotate'), 2);
+  if (rotate) view.rotation = rotate;
+  const zoom = readNumbers(params.get('zoom'), 3);
+  if (zoom && zoom[0] >= 1) view.zoom = { k: zoom[0], x: zoom[1], y: zoom[2] };
+
+  if (params.has('civil')) view.civil = params.get('civil') === '1';
+  if (params.has('night')) view.dayNight = params.get('night') !== '0';
+  if (['mean', 'apparent'].includes(params.get('mode'))) view.mode = params.get('mode');
+
+  const theme = params.get('theme');
+  if (theme === 'auto' || isThemeName(theme)) view.theme = theme;
+  if (params.has('colors')) view.colors = parseColors(params.get('colors'));
+  return view;
+};
+
+// Embedded widget (?embed=1, also what the <new-year-wave> element loads):
+//
+//   panels=map,status   what to show, any of map, status and countdown
+//   transparent=1       no page background, e.g. for a stream overlay
+//
+// The other parameters above still apply (year=, loc=, theme=, lang=, ...). Null when the page
+// is not embedded.
+export const EMBED_PANELS = ['map', 'status', 'countdown'];
+
+export const readEmbedParams = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  if (params.get('embed') !== '1') return null;
+  const panels = (params.get('panels') ?? '').split(',').filter(panel => EMBED_PANELS.includes(panel));
+  return {
+    panels: panels.length ? panels : ['map', 'status'],
+    transparent: params.get('transparent') === '1',
+  };
+};
+
+// Link to a view. `time` is the simulated instant, or null when following real time;
+// the other fields match the app state and are only written when they differ from
+// the defaults, so a plain view keeps a short URL.
+export const viewUrl = (base, {
+  time,
+  event,
+  country,
+  location,
+  projection,
+  rotation,
+  zoom,
+  civil,
+  dayNight,
+  mode,
+  theme,
+  colors,
+}) => {
+  const params = new URLSearchParams(eventParams(event));
+  if (time) params.set('t', time.toUTC().toISO({ suppressMilliseconds: true }));
+  if (country) params.set('country', country);
+  if (location) {
+    const digits = locationDigits(location);
+    params.set('loc', `${round(location.latitude, digits)},${round(location.longitude, digits)}`);
+    if (location.name) params.set('place', location.name);
+  }
+  if (projection !== 'equirectangular') params.set('proj', projection);
+  if (rotation) params.set('rotate', rotation.map(v => round(v, 1)).join(','));
+  if (zoom && zoom.k > 1) params.set('zoom', [round(zoom.k, 3), round(zoom.x, 1), round(zoom.y, 1)].join(','));
+  if (civil) params.set('civil', '1');
+  if (!dayNight) params.set('night', '0');
+  if (mode !== 'mean') params.set('mode', mode);
+  if (theme && theme !== 'auto') params.set('theme', theme);
+  if (colors && formatColors(colors)) params.set('colors', formatColors(colors));
+  const query = params.toString();
+  return query ? `${base}/?${query}` : base;
+};
@@ -0,0 +1,162 @@
+import { DateTime } from 'luxon';
+import { CALENDARS } from './calendars.js';
+import { midnightLongitude, solarMidnightTime } from './solar.js';
+
+// Headless wave engine: pure functions of (instant, longitude, target date),
+// shared by the React app and the `new-year-wave` CLI. No DOM or React imports here.
+//
+// The wave of solar midnight entering a calendar date starts when midnight reaches the
+// Date Line (lon 180°, 12:00 UTC the day before in mean time), sweeps westward, and
+// completes a day later at lon -180° (12:00 UTC on the day). `mode` is 'mean' or
+// 'apparent' solar time.
+//
+// A target is what the wave runs toward: { date, at?, year }. `date` is a UTC DateTime
+// at 00:00 of the calendar date; `at`, when set, is a single instant at which the date
+// begins everywhere at once (Nowruz at the equinox) instead of a sweeping wave.
+
+export { CALENDARS, midnightLongitude, solarMidnightTime };
+
+// An event is either a calendar date, { name, month, day, year? }, recurring every
+// year without a year like New Year, or another calendar's new year, { name, calendar }
+// with a key of CALENDARS.
+export const NEW_YEAR = { name: 'New Year', month: 1, day: 1 };
+
+// True for the built-in New Year, not a custom event that happens to fall on Jan 1
+export const isNewYearEvent = (event) =>
+  event.name === NEW_YEAR.name && event.month === 1 && event.day === 1 && !event.year;
+
+// True for New Year, the next one or that of a given year (?year=, --year)
+export const isAnyNewYear = (event) => isNewYearEvent({ ...event, year: undefined });
+
+export const calendarEvent = (calendar) => ({ name: CALENDARS[calendar].label, calendar });
+
+// Accept a luxon DateTime, JS Date, epoch millis or ISO string
+export const toInstant = (instant) => {
+  if (DateTime.isDateTime(instant)) return instant.toUTC();
+  if (instant instanceof Date) return DateTime.fromJSDate(instant, { zone: 'utc' });
+  if (typeof instant === 'number') return DateTime.fromMillis(instant, { zone: 'utc' });
+  return DateTime.fromISO(instant, { zone: 'utc' });
+};
+
+// Event dates as ISO 8601: "2027-03-20" for a single day, "--03-20" for every year
+const EVENT_DATE = /^(\d{4}|-)-(\d{2})-(\d{2})$/;
+
+// { month, day, year? } from an event date string, or null if it is not a real date
+export const parseEventDate = (text) => {
+  const match = EVENT_DATE.exec(text ?? '');
+  if (!match) return null;
+  const year = match[1] === '-' ? null : Number(match[1]);
+  // 2000 is a leap year, so a recurring Feb 29 is accepted
+  const date = DateTime.utc(year ?? 2000, Number(match[2]), Number(match[3]));
+  if (!date.isValid) return null;
+  return year ? { month: date.month, day: date.day, year } : { month: date.month, day: date.day };
+};
+
+export const formatEventDate = ({ month, day, year }) => {
+  const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  return year ? `${year}-${monthDay}` : `--${monthDay}`;
+};
+
+// "March 20" for a recurring date, "March 20, 2027" for a single day, in `locale`
+export const describeEventDate = ({ month, day, year }, locale = 'en') =>
+  DateTime.utc(year ?? 2000, month, day)
+    .setLocale(locale)
+    .toLocaleString({ month: 'long', day: 'numeric', ...(year && { year: 'numeric' }) });
+
+// A recurring event's next occurrence is tracked from this many days ahead; until then
+// the most recent one is (for New Year: next year's throughout December)
+const LEAD_DAYS = 31;
+
+// The event in a given year; Feb 29 falls back to Feb 28 outside leap years
+const occurrence = (event, year) => {
+  const month = DateTime.utc(year, event.month, 1);
+  return month.set({ day: Math.min(event.day, month.daysInMonth) });
+};
+
+// Every occurrence of an event starting in Gregorian years around `year`, latest first
+const occurrences = (event, year) => {
+  const years = [year + 1, year, year - 1];
+  if (event.calendar) {
+    return years
+      .flatMap(gYear => CALENDARS[event.calendar].yearStarts(gYear))
+      .sort((a, b) => b.date - a.date);
+  }
+  return years.map(gYear => {
+    const date = occurrence(event, gYear);
+    return { date, year: date.year };
+  });
+};
+
+// The occurrence of an event tracked at an instant
+export const eventTarget = (instant, event = NEW_YEAR) => {
+  if (event.year) {
+    const date = occurrence(event, event.year);
+    return { date, year: date.year };
+  }
+  const t = toInstant(instant);
+  return occurrences(event, t.year).find(({ date }) => t >= date.minus({ days: LEAD_DAYS }));
+};
+
+// When the target reaches a longitude: its solar midnight, or the instant for everyone
+export const arrivalTime = (lon, target, mode = 'mean') =>
+  target.at ?? solarMidnightTime(lon, target.date, mode);
+
+// First and last arrival of the target anywhere on Earth
+export const waveWindow = (target, mode = 'mean') => ({
+  start: arrivalTime(180, target, mode),
+  end: arrivalTime(-180, target, mode),
+});
+
+// Where the wave for a target stands at an instant
+export const transitionState = (instant, target, mode = 'mean') => {
+  const t = toInstant(instant);
+  const { start, end } = waveWindow(target, mode);
+  const beforeTransition = t < start;
+  const transitionComplete = t >= end;
+  return {
+    beforeTransition,
+    inTransition: !beforeTransition && !transitionComplete,
+    transitionComplete,
+  };
+};
+
+// Percentage of the wave completed: 0 at the start, 100 once it has circled the globe
+// (from the instant itself for a target that arrives everywhere at once)
+export const coverage = (instant, target, mode = 'mean') => {
+  const t = toInstant(instant);
+  const { start, end } = waveWindow(target, mode);
+  if (t >= end) return 100;
+  if (t <= start) return 0;
+  return (t.diff(start).toMillis() / end.diff(start).toMillis()) * 100;
+};
+
+// Has the target arrived at a longitude?
+// During the transition the arrived region is everything east of the midnight line,
+// up to the Date Line: lon > midnightLon.
+export const hasArrived = (instant, lon, target, mode = 'mean') => {
+  const t = toInstant(instant);
+  const { inTransition, transitionComplete } = transitionState(t, target, mode);
+  if (transitionComplete) return true;
+  if (!inTransition) return false;
+  const normLon = lon > 180 ? lon - 360 : (lon < -180 ? lon + 360 : lon);
+  return normLon > midnightLongitude(t, mode);
+};
+
+// Everything about the wave at an instant, e.g. for scripts and bots
+export const waveState = (instant, { event = NEW_YEAR, mode = 'mean' } = {}) => {
+  const t = toInstant(instant);
+  const target = eventTarget(t, event);
+  const { start, end } = waveWindow(target, mode);
+  return {
+    instant: t,
+    event: event.name,
+    date: target.date,
+    year: target.year,
+    mode,
+    midnightLongitude: midnightLongitude(t, mode),
+    waveStart: start,
+    waveEnd: end,
+    ...transitionState(t, target, mode),
+    coverage: coverage(t, target, mode),
+  };
+};
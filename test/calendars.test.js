@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CALENDARS } from '../src/calendars.js';
+
+// [ISO date, calendar year] of each new year in a Gregorian year
+const starts = (calendar, gYear) => CALENDARS[calendar].yearStarts(gYear)
+  .map(({ date, year }) => [date.toISODate(), year]);
+
+describe('Lunar New Year', () => {
+  it('falls on the published dates', () => {
+    assert.deepEqual(starts('chinese', 2024), [['2024-02-10', 2024]]);
+    assert.deepEqual(starts('chinese', 2025), [['2025-01-29', 2025]]);
+    assert.deepEqual(starts('chinese', 2027), [['2027-02-06', 2027]]);
+  });
+
+  it('waits one more moon after the leap month following the 2033 solstice', () => {
+    assert.deepEqual(starts('chinese', 2034), [['2034-02-19', 2034]]);
+  });
+});
+
+describe('Nowruz', () => {
+  it('starts on the equinox day when it comes before noon in Tehran, else the day after', () => {
+    assert.deepEqual(starts('persian', 2024), [['2024-03-20', 1403]]);
+    assert.deepEqual(starts('persian', 2025), [['2025-03-21', 1404]]);
+    assert.deepEqual(starts('persian', 2027), [['2027-03-21', 1406]]);
+  });
+
+  it('begins at the equinox, to within a minute', () => {
+    const [{ at }] = CALENDARS.persian.yearStarts(2025);
+    assert.ok(Math.abs(at.toMillis() - Date.parse('2025-03-20T09:01:00Z')) < 60000, at.toISO());
+  });
+});
+
+describe('Islamic New Year', () => {
+  it('matches the Umm al-Qura calendar', () => {
+    assert.deepEqual(starts('islamic', 2024), [['2024-07-07', 1446]]);
+    assert.deepEqual(starts('islamic', 2025), [['2025-06-26', 1447]]);
+    assert.deepEqual(starts('islamic', 2026), [['2026-06-16', 1448]]);
+  });
+
+  it('can come twice in one Gregorian year', () => {
+    assert.deepEqual(starts('islamic', 2008), [['2008-01-10', 1429], ['2008-12-29', 1430]]);
+  });
+});
+
+describe('Rosh Hashanah', () => {
+  it('falls on 1 Tishri of the arithmetic calendar', () => {
+    assert.deepEqual(starts('hebrew', 2024), [['2024-10-03', 5785]]);
+    assert.deepEqual(starts('hebrew', 2025), [['2025-09-23', 5786]]);
+    assert.deepEqual(starts('hebrew', 2026), [['2026-09-12', 5787]]);
+    assert.deepEqual(starts('hebrew', 2027), [['2027-10-02', 5788]]);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { feature } from 'topojson-client';
+import { crossingSpan } from '../src/crossings.js';
+
+const require = createRequire(import.meta.url);
+const countries = feature(require('world-atlas/countries-110m.json'), 'countries').features;
+const country = (name) => countries.find(d => d.properties.name === name);
+
+// Rectangle from west to east, wound clockwise as d3 expects for a small polygon
+const box = (west, east, south = -10, north = 10) => ({
+  type: 'Feature',
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[west, south], [west, north], [east, north], [east, south], [west, south]]],
+  },
+});
+
+describe('crossingSpan', () => {
+  it('enters at the eastern edge and leaves at the western one', () => {
+    assert.deepEqual(crossingSpan(box(10, 20)), { first: 20, last: 10 });
+  });
+
+  it('leaves a feature across the date line at −180°, after its part west of the line', () => {
+    assert.deepEqual(crossingSpan(box(170, -170)), { first: 180, last: -180 });
+  });
+
+  it('keeps Russia in the wave until it reaches the date line again', () => {
+    assert.deepEqual(crossingSpan(country('Russia')), { first: 180, last: -180 });
+    const japan = crossingSpan(country('Japan'));
+    assert.ok(japan.first < 180 && japan.last > 120);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { escapeText, fold, toIcs } from '../src/icalendar.js';
+
+const octets = (text) => new TextEncoder().encode(text).length;
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+describe('escapeText', () => {
+  it('escapes backslashes, semicolons, commas and line breaks', () => {
+    assert.equal(escapeText('a\\b'), 'a\\\\b');
+    assert.equal(escapeText('Tokyo; Japan, Asia'), 'Tokyo\\; Japan\\, Asia');
+    assert.equal(escapeText('one\ntwo\r\nthree'), 'one\\ntwo\\nthree');
+  });
+
+  it('escapes a backslash before the escapes it adds', () => {
+    assert.equal(escapeText('\\,'), '\\\\\\,');
+  });
+});
+
+describe('fold', () => {
+  it('leaves lines of up to 75 octets alone', () => {
+    const line = `SUMMARY:${'x'.repeat(67)}`;
+    assert.equal(octets(line), 75);
+    assert.equal(fold(line), line);
+  });
+
+  it('breaks longer lines into 75-octet lines continued after a space', () => {
+    const line = `DESCRIPTION:${'Über München nach Zürich, 東京へ 🎆 '.repeat(6)}`;
+    const lines = fold(line).split('\r\n');
+    assert.ok(lines.length > 1);
+    lines.forEach((physical, i) => {
+      assert.ok(octets(physical) <= 75, `line ${i}: ${octets(physical)} octets`);
+      if (i > 0) assert.equal(physical[0], ' ');
+    });
+    assert.equal(unfold(fold(line)), line);
+  });
+
+  it('never splits a multibyte character', () => {
+    const line = `SUMMARY:${'🎆'.repeat(40)}`;
+    fold(line).split('\r\n ').forEach(part => assert.ok(!/[\uD800-\uDBFF]$/.test(part)));
+    assert.equal(unfold(fold(line)), line);
+  });
+});
+
+describe('toIcs', () => {
+  const event = {
+    uid: '20260101T000000Z-51.477_0.000@new-year-wave',
+    start: DateTime.fromISO('2026-01-01T00:00:00Z'),
+    summary: '2026 in Greenwich, London',
+    description: 'Solar midnight; local time 00:00\nEurope/London',
+    location: 'Greenwich, London',
+    latitude: 51.4769,
+    longitude: 0,
+    alarms: [10, 0],
+  };
+  const text = toIcs('New Year, 2026', [event]);
+
+  it('ends every line with CRLF', () => {
+    assert.ok(text.endsWith('\r\n'));
+    assert.ok(!/[^\r]\n/.test(text));
+  });
+
+  it('escapes the event text', () => {
+    const lines = unfold(text).split('\r\n');
+    assert.ok(lines.includes('X-WR-CALNAME:New Year\\, 2026'));
+    assert.ok(lines.includes('SUMMARY:2026 in Greenwich\\, London'));
+    assert.ok(lines.includes('DESCRIPTION:Solar midnight\\; local time 00:00\\nEurope/London'));
+    assert.ok(lines.includes('DTSTART:20260101T000000Z'));
+    assert.ok(lines.includes('GEO:51.4769;0.0000'));
+    assert.ok(lines.includes('TRIGGER:-PT10M') && lines.includes('TRIGGER:PT0S'));
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import {
+  arrivalTime,
+  calendarEvent,
+  coverage,
+  eventTarget,
+  transitionState,
+  waveState,
+} from '../src/wave.js';
+
+// The wave around the Dec 31 / Jan 1 boundary. Clocks at UTC+14 (Line Islands) strike
+// midnight at 10:00Z on Dec 31, two hours before solar midnight reaches the Date Line;
+// clocks at UTC−12 (Baker Island) strike it at 12:00Z on Jan 1, when the mean wave ends.
+const UTC_PLUS_14_MIDNIGHT = '2025-12-31T10:00:00Z';
+const UTC_MINUS_12_MIDNIGHT = '2026-01-01T12:00:00Z';
+
+const utc = (iso) => DateTime.fromISO(iso, { zone: 'utc' });
+const minutesBetween = (a, b) => b.diff(a).as('minutes');
+
+describe('New Year, mean solar time', () => {
+  const target = eventTarget(UTC_PLUS_14_MIDNIGHT);
+
+  it('tracks next year throughout December', () => {
+    assert.equal(target.year, 2026);
+    assert.equal(target.date.toISODate(), '2026-01-01');
+  });
+
+  it('arrives at the Date Line at 12:00Z the day before and at −180° a day later', () => {
+    assert.equal(arrivalTime(180, target).toISO(), '2025-12-31T12:00:00.000Z');
+    assert.equal(arrivalTime(0, target).toISO(), '2026-01-01T00:00:00.000Z');
+    assert.equal(arrivalTime(-180, target).toISO(), '2026-01-01T12:00:00.000Z');
+  });
+
+  it('has not started when clocks at UTC+14 strike midnight', () => {
+    const state = waveState(UTC_PLUS_14_MIDNIGHT);
+    assert.equal(state.beforeTransition, true);
+    assert.equal(state.inTransition, false);
+    assert.equal(state.coverage, 0);
+    assert.equal(state.midnightLongitude, -150);
+  });
+
+  it('starts exactly at the Date Line arrival', () => {
+    const start = arrivalTime(180, target);
+    assert.equal(transitionState(start.minus(1), target).beforeTransition, true);
+    assert.equal(transitionState(start, target).inTransition, true);
+    assert.equal(coverage(start, target), 0);
+    assert.equal(coverage(start.plus({ hours: 6 }), target), 25);
+  });
+
+  it('has completed when clocks at UTC−12 strike midnight', () => {
+    const state = waveState(UTC_MINUS_12_MIDNIGHT);
+    assert.equal(state.transitionComplete, true);
+    assert.equal(state.coverage, 100);
+
+    const justBefore = utc(UTC_MINUS_12_MIDNIGHT).minus(1);
+    assert.equal(transitionState(justBefore, target).inTransition, true);
+    assert.ok(coverage(justBefore, target) < 100);
+  });
+});
+
+describe('New Year, apparent solar time', () => {
+  const target = eventTarget(UTC_PLUS_14_MIDNIGHT);
+  const options = { mode: 'apparent' };
+
+  it('runs a few minutes behind mean time around Jan 1 (equation of time about −3 min)', () => {
+    for (const lon of [180, 0, -180]) {
+      const lag = minutesBetween(arrivalTime(lon, target), arrivalTime(lon, target, 'apparent'));
+      assert.ok(lag > 2 && lag < 4, `${lon}°: ${lag} min`);
+    }
+  });
+
+  it('has not started when clocks at UTC+14 strike midnight', () => {
+    const state = waveState(UTC_PLUS_14_MIDNIGHT, options);
+    assert.equal(state.beforeTransition, true);
+    assert.equal(state.coverage, 0);
+  });
+
+  it('is still finishing when clocks at UTC−12 strike midnight', () => {
+    const state = waveState(UTC_MINUS_12_MIDNIGHT, options);
+    assert.equal(state.inTransition, true);
+    assert.ok(state.coverage > 99 && state.coverage < 100);
+    assert.equal(waveState(state.waveEnd, options).transitionComplete, true);
+  });
+});
+
+describe('custom event', () => {
+  const event = { name: 'Launch', month: 3, day: 20, year: 2027 };
+
+  it('sweeps from 12:00Z the day before', () => {
+    const before = waveState('2027-03-19T11:59:59Z', { event });
+    assert.equal(before.beforeTransition, true);
+    assert.equal(before.event, 'Launch');
+    assert.equal(before.date.toISODate(), '2027-03-20');
+
+    const start = waveState('2027-03-19T12:00:00Z', { event });
+    assert.equal(start.inTransition, true);
+    assert.equal(start.coverage, 0);
+    assert.equal(waveState('2027-03-20T00:00:00Z', { event }).coverage, 50);
+    assert.equal(waveState('2027-03-20T12:00:00Z', { event }).transitionComplete, true);
+  });
+
+  it('uses a fixed year rather than the next occurrence', () => {
+    assert.equal(eventTarget('2030-01-01T00:00:00Z', event).date.toISODate(), '2027-03-20');
+  });
+});
+
+describe('calendar events', () => {
+  it('sweeps for Lunar New Year like a date', () => {
+    const event = calendarEvent('chinese');
+    const target = eventTarget('2026-02-16T00:00:00Z', event);
+    assert.equal(target.date.toISODate(), '2026-02-17');
+    assert.equal(target.at, undefined);
+    assert.equal(arrivalTime(180, target).toISO(), '2026-02-16T12:00:00.000Z');
+    assert.equal(waveState('2026-02-17T00:00:00Z', { event }).coverage, 50);
+  });
+
+  it('begins everywhere at once for Nowruz, at the equinox', () => {
+    const event = calendarEvent('persian');
+    const target = eventTarget('2026-03-20T00:00:00Z', event);
+    assert.ok(target.at);
+    assert.equal(arrivalTime(180, target).toMillis(), target.at.toMillis());
+    assert.equal(arrivalTime(-180, target, 'apparent').toMillis(), target.at.toMillis());
+
+    const before = waveState(target.at.minus(1), { event });
+    assert.equal(before.beforeTransition, true);
+    assert.equal(before.coverage, 0);
+    const after = waveState(target.at, { event });
+    assert.equal(after.transitionComplete, true);
+    assert.equal(after.coverage, 100);
+  });
+});
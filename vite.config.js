@@ -1,9 +1,201 @@
+import { createHash } from 'node:crypto'
+import { existsSync, readFileSync, readdirSync } from 'node:fs'
+import { createRequire } from 'node:module'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emit dist/sw.js from src/sw.js, prefixed with the list of built files to precache and
+// a version that changes with their contents, so renamed and edited files alike (e.g.
+// cities.json or public/, which keep their names) bust the cache
+function serviceWorker() {
+  return {
+    name: 'new-year-wave:service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const emitted = Object.keys(bundle).filter(file => !file.endsWith('.map'))
+      const files = ['./', ...emitted, ...readdirSync('public')]
+      const hash = createHash('sha256')
+      for (const file of emitted) {
+        const { code, source } = bundle[file]
+        hash.update(file).update(code ?? source)
+      }
+      for (const file of readdirSync('public')) {
+        hash.update(file).update(readFileSync(`public/${file}`))
+      }
+      const version = hash.digest('hex').slice(0, 12)
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `const PRECACHE = ${JSON.stringify(files)};\nconst VERSION = '${version}';\n\n`
+          + readFileSync('src/sw.js', 'utf8'),
+      })
+    },
+  }
+}
+
+// GeoNames data (the cities15000 package): every city over 15,000 people and country
+// facts, parsed once per build
+let geoNames
+function readGeoNames() {
+  if (geoNames) return geoNames
+  const { file, countryFile } = createRequire(import.meta.url)('cities15000')
+  const countries = {}
+  for (const line of readFileSync(countryFile, 'utf8').split('\n')) {
+    if (!line || line.startsWith('#')) continue
+    const fields = line.split('\t')
+    countries[fields[0]] = { name: fields[4], population: +fields[7], continent: fields[8] }
+  }
+  const cities = readFileSync(file, 'utf8').split('\n')
+    .filter(Boolean)
+    .map(line => line.split('\t'))
+    // Skip neighbourhoods and abandoned places
+    .filter(fields => fields[7] !== 'PPLX' && fields[7] !== 'PPLH')
+    .map(([, name, ascii, , lat, lon, , , country, , , , , , population, , , zone]) =>
+      ({ name, ascii, lat: +lat, lon: +lon, country, population: +population, zone }))
+  geoNames = { countries, cities }
+  return geoNames
+}
+
+// A generated JSON data file: served at /<fileName> in dev, emitted to dist/ in builds
+// (so the service worker precaches it)
+function dataFile(name, fileName, build) {
+  let json
+  const source = () => (json ??= JSON.stringify(build()))
+  return {
+    name: `new-year-wave:${name}`,
+    configureServer(server) {
+      server.middlewares.use(`/${fileName}`, (_, res) => {
+        res.setHeader('Content-Type', 'application/json')
+        res.end(source())
+      })
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName, source: source() })
+    },
+  }
+}
+
+// Offline gazetteer for the location search: { countries: { code: name }, zones: [IANA
+// zone], cities: [[name, ascii name, country, lat, lon, zone index, population]] },
+// largest first
+const gazetteer = () => dataFile('gazetteer', 'cities.json', () => {
+  const { countries, cities } = readGeoNames()
+  const zones = []
+  return {
+    countries: Object.fromEntries(Object.entries(countries).map(([code, { name }]) => [code, name])),
+    zones,
+    cities: cities
+      .map(({ name, ascii, country, lat, lon, zone, population }) => {
+        if (!zones.includes(zone)) zones.push(zone)
+        return [name, ascii === name ? '' : ascii, country, +lat.toFixed(3), +lon.toFixed(3),
+          zones.indexOf(zone), population]
+      })
+      .sort((a, b) => b[6] - a[6]),
+  }
+})
+
+// Population count grid for population-weighted coverage, in ESRI ASCII grid format
+// with cells of 1° or a fraction of one: NASA SEDAC's Gridded Population of the World
+// (GPW v4, population count, 1 degree), https://doi.org/10.7927/H4JW8BX5
+const POPULATION_GRID = 'data/population-grid.asc'
+
+// { ncols, nrows, xllcorner, yllcorner, cellsize, nodata_value, rows: [[value]] },
+// rows from north to south
+function readAsciiGrid(file) {
+  const lines = readFileSync(file, 'utf8').split('\n')
+  const grid = {}
+  let row = 0
+  for (; /^[a-z]/i.test(lines[row]); row++) {
+    const [key, value] = lines[row].trim().split(/\s+/)
+    grid[key.toLowerCase()] = +value
+  }
+  grid.rows = lines.slice(row).filter(line => line.trim())
+    .map(line => line.trim().split(/\s+/).map(Number))
+  return grid
+}
+
+// Continent of the GeoNames city nearest to a 1° cell, looking up to `reach` degrees
+// away; the grid itself has no borders, and continents meet far from most people
+function continentFinder({ countries, cities }, reach = 30) {
+  const cellKey = (lon, lat) => `${((lon + 540) % 360) - 180},${lat}`
+  const buckets = new Map()
+  for (const city of cities) {
+    const key = cellKey(Math.floor(city.lon), Math.floor(city.lat))
+    if (!buckets.has(key)) buckets.set(key, [])
+    buckets.get(key).push(city)
+  }
+  const found = new Map()
+  return (lon, lat) => {
+    const key = cellKey(Math.floor(lon), Math.floor(lat))
+    if (found.has(key)) return found.get(key)
+    let nearest = null
+    let best = Infinity
+    // Rings of cells around this one, until one beyond the ring a city was found in
+    for (let ring = 0, last = reach; ring <= last; ring++) {
+      for (let dy = -ring; dy <= ring; dy++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue
+          for (const city of buckets.get(cellKey(Math.floor(lon) + dx, Math.floor(lat) + dy)) ?? []) {
+            const dLon = (((city.lon - lon) % 360) + 540) % 360 - 180
+            const distance = (dLon * Math.cos((lat * Math.PI) / 180)) ** 2 + (city.lat - lat) ** 2
+            if (distance < best) [nearest, best] = [city, distance]
+          }
+        }
+      }
+      if (nearest && last > ring + 1) last = ring + 1
+    }
+    const continent = countries[nearest?.country]?.continent ?? null
+    found.set(key, continent)
+    return continent
+  }
+}
+
+// Population on a 1° grid, for population-weighted coverage: the count grid summed into
+// 1° cells, each assigned to a continent.
+// { continents: [code], cells: [[lon, lat, continent index, population]] } with
+// cell centres in degrees. Left out, with a warning, until the grid is in data/.
+function populationGrid() {
+  if (!existsSync(POPULATION_GRID)) {
+    return {
+      name: 'new-year-wave:population',
+      buildStart() {
+        this.warn(`${POPULATION_GRID} is missing, so the app will not show how many people the wave has reached`)
+      },
+    }
+  }
+  return dataFile('population', 'population.json', () => {
+    const geoNames = readGeoNames()
+    const continentAt = continentFinder(geoNames)
+    const { xllcorner, yllcorner, cellsize, nodata_value: noData, nrows, rows } = readAsciiGrid(POPULATION_GRID)
+    const continents = [...new Set(Object.values(geoNames.countries).map(c => c.continent))].sort()
+    const cells = new Map()
+    rows.forEach((values, row) => {
+      const lat = yllcorner + (nrows - row - 0.5) * cellsize
+      values.forEach((people, column) => {
+        if (people === noData || !(people > 0)) return
+        const lon = xllcorner + (column + 0.5) * cellsize
+        const cellLon = Math.min(179, Math.floor(lon)) + 0.5
+        const cellLat = Math.min(89, Math.floor(lat)) + 0.5
+        const continent = continentAt(cellLon, cellLat)
+        if (!continent) return
+        const key = `${cellLon},${cellLat},${continent}`
+        cells.set(key, (cells.get(key) ?? 0) + people)
+      })
+    })
+    return {
+      continents,
+      cells: [...cells].map(([key, population]) => {
+        const [lon, lat, continent] = key.split(',')
+        return [+lon, +lat, continents.indexOf(continent), Math.round(population)]
+      }),
+    }
+  })
+}
+
 // https://vitejs.dev/config/
 export default defineConfig(({ mode }) => ({
-  plugins: [react()],
+  plugins: [react(), gazetteer(), populationGrid(), serviceWorker()],
   base: mode === 'production' ? '/new-year-wave/' : '/',
   build: {
     outDir: 'dist',
@@ -21,4 +213,4 @@ export default defineConfig(({ mode }) => ({
       }
     }
   }
-}))
\ No newline at end of file
+}))